@@ -0,0 +1,162 @@
+// Shared by every content/<board>_list.js (loaded first via the manifest).
+// Each board script calls registerKidsnoteBoard() with its message names and API paths; child detection, the login
+// check and the allow-listed fetch relay live here so the page-origin requests (cookies/auth included) behave the same
+// for every board.
+
+const KIDSNOTE_ME_INFO_URL = 'https://www.kidsnote.com/api/v1/me/info/';
+
+function findFirstNumber(obj, min = 1000) {
+  const seen = new Set();
+  const stack = [obj];
+  while (stack.length) {
+    const cur = stack.pop();
+    if (!cur || typeof cur !== 'object') continue;
+    if (seen.has(cur)) continue;
+    seen.add(cur);
+    if (Array.isArray(cur)) {
+      for (const v of cur) stack.push(v);
+      continue;
+    }
+    for (const [k, v] of Object.entries(cur)) {
+      if (typeof v === 'number' && v >= min && /(child|children)/i.test(k)) return v;
+      if (typeof v === 'string' && /^\d{4,}$/.test(v) && /(child|children)/i.test(k)) return Number(v);
+      if (v && typeof v === 'object') stack.push(v);
+    }
+  }
+  return null;
+}
+
+async function fetchMeInfo() {
+  // Observed structure: { user, children: [...] }
+  const r = await fetch(KIDSNOTE_ME_INFO_URL, { credentials: 'include' }).catch(() => null);
+  if (!r || !r.ok) return null;
+  return r.json().catch(() => null);
+}
+
+async function detectChildIdFallback(board) {
+  const j = await fetchMeInfo();
+  if (!j) return null;
+
+  // Explicit "current child" style fields or the account's first child, in the order the board asks for.
+  const direct = j.child_id || j.childId || j.current_child_id || j.currentChildId;
+  const child0 = Array.isArray(j?.children) ? j.children[0] : null;
+  const picks = board.firstChildFirst ? [child0?.id, direct] : [direct, child0?.id];
+  const found = picks.find(Boolean);
+  if (found) return Number(found);
+
+  return findFirstNumber(j, 1000);
+}
+
+async function listChildren() {
+  // me/info lists every child on the account.
+  const j = await fetchMeInfo();
+  if (!j || !Array.isArray(j.children)) return null;
+  return j.children
+    .filter((c) => c && c.id)
+    .map((c) => ({
+      id: String(c.id),
+      name: c.name || c.nickname || '',
+      className: c.class_name || c.belong_to_class?.name || c.center_class?.name || '',
+    }));
+}
+
+function findApiFromPerformance(board) {
+  const entries = performance.getEntriesByType('resource').map((e) => e.name);
+  const hit = entries.find((u) => board.listRe.test(u));
+  if (!hit) return null;
+  const u = new URL(hit);
+  const m = hit.match(board.listRe);
+  if (!m) return null;
+  // For centre/class lists the path id isn't a child; the `child` query param (if any) still is.
+  const childId = /\/children\//.test(m[0]) ? m[1] : (u.searchParams.get('child') || m[1]);
+  // The match ends at the list path, so a detail/comments request still yields the list URL.
+  const baseUrl = `${u.origin}${m[0]}`;
+  const defaultQuery = {};
+  for (const [k, v] of u.searchParams.entries()) {
+    // Pagination/runtime params are controlled by the service worker.
+    if (k === 'page' || k === 'page_size' || k === 'tz' || k === 'child') continue;
+    defaultQuery[k] = v;
+  }
+  return { childId, baseUrl, sampleUrl: hit, defaultQuery };
+}
+
+async function validateChildId(board, childId) {
+  if (!childId) return false;
+  const url = `${board.listUrl(childId)}?page_size=1&tz=Asia%2FSeoul&child=${childId}`;
+  const r = await fetch(url, { credentials: 'include' }).catch(() => null);
+  return !!(r && r.ok);
+}
+
+function isAllowedApiUrl(raw, pathRe) {
+  try {
+    const u = new URL(raw);
+    if (u.protocol !== 'https:') return false;
+    if (u.hostname !== 'www.kidsnote.com') return false;
+    return pathRe.test(u.pathname);
+  } catch {
+    return false;
+  }
+}
+
+async function relayFetch(url, pathRe) {
+  try {
+    if (!isAllowedApiUrl(url, pathRe)) return { ok: false, error: 'DISALLOWED_FETCH_URL' };
+    const r = await fetch(url, { credentials: 'include' });
+    const text = await r.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (e) {}
+    return { ok: r.ok, status: r.status, json };
+  } catch (e) {
+    return { ok: false, error: String(e) };
+  }
+}
+
+/**
+ * board: {
+ *   ping, apiInfo, fetchPage   message kinds (must match the SW descriptor in lib/content_types.js)
+ *   listRe                     matches the list API in resource timing; group 1 is the child (or centre/class) id
+ *   listPathRe                 allow-list for list requests relayed from the SW
+ *   commentsPathRe             allow-list for comment requests
+ *   listUrl(childId)           list endpoint used when resource timing has nothing yet
+ *   firstChildFirst            me/info fallback tries the first child before "current child" fields (albums)
+ * }
+ */
+function registerKidsnoteBoard(board) {
+  const handlers = {
+    [board.ping]: async () => ({ ok: true, url: location.href }),
+
+    [board.apiInfo]: async () => {
+      let info = findApiFromPerformance(board);
+      if (!info) {
+        // Fallback: derive childId from me/info and validate it against the list endpoint.
+        const childId = await detectChildIdFallback(board);
+        if (childId && await validateChildId(board, childId)) {
+          info = { childId: String(childId), baseUrl: board.listUrl(childId), sampleUrl: null, defaultQuery: {} };
+        }
+      }
+      return { ok: !!info, info };
+    },
+
+    LIST_CHILDREN: async () => {
+      const children = await listChildren();
+      return children ? { ok: true, children } : { ok: false, error: 'CANT_LIST_CHILDREN' };
+    },
+
+    CHECK_LOGIN: async () => {
+      const r = await fetch(KIDSNOTE_ME_INFO_URL, { credentials: 'include' }).catch(() => null);
+      // 401/403 means the session is gone; a network error says nothing either way.
+      return { ok: !!r, loggedIn: !r || (r.status !== 401 && r.status !== 403) };
+    },
+
+    FETCH_COMMENTS_PAGE: (msg) => relayFetch(msg.url, board.commentsPathRe),
+
+    [board.fetchPage]: (msg) => relayFetch(msg.url, board.listPathRe),
+  };
+
+  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+    const handler = Object.hasOwn(handlers, msg?.kind) ? handlers[msg.kind] : null;
+    if (!handler) return false;
+    handler(msg).then(sendResponse, (e) => sendResponse({ ok: false, error: String(e) }));
+    return true;
+  });
+}
@@ -0,0 +1,13 @@
+// Runs on https://www.kidsnote.com/service/notice*
+// Provides notice (공지사항) API access from the page origin so cookies/auth are included.
+
+registerKidsnoteBoard({
+  ping: 'PING_KN_DL_NOTICE',
+  apiInfo: 'GET_NOTICE_API_INFO',
+  fetchPage: 'FETCH_NOTICES_PAGE',
+  // Notices are listed per child like reports; the centre/class variants are accepted too if the page uses them.
+  listRe: /\/api\/v1(?:_\d+)?\/(?:children|centers|classes)\/(\d+)\/notices\//,
+  listPathRe: /^\/api\/v1(?:_\d+)?\/(?:children|centers|classes)\/\d+\/notices\/?$/,
+  commentsPathRe: /^\/api\/v1(?:_\d+)?\/notices\/\d+\/comments\/?$/,
+  listUrl: (childId) => `https://www.kidsnote.com/api/v1_2/children/${childId}/notices/`,
+});
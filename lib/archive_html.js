@@ -0,0 +1,107 @@
+// Offline HTML pages for a downloaded archive. Everything is self-contained (inline CSS, relative links).
+
+const STYLE = `
+  body { margin: 0; font: 15px/1.6 system-ui, -apple-system, "Segoe UI", Roboto, "Apple SD Gothic Neo", "Malgun Gothic", sans-serif; color: #1f1b3a; background: #f8f3ff; }
+  main { max-width: 960px; margin: 0 auto; padding: 24px 16px 48px; }
+  a { color: #4d2fb2; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 10px; color: #4d2fb2; }
+  .meta { color: #6b5fa3; font-size: 13px; margin-bottom: 16px; }
+  .body { white-space: pre-wrap; background: #fff; border: 1px solid #dccdf6; border-radius: 12px; padding: 14px 16px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px; }
+  .grid a { display: block; aspect-ratio: 1; overflow: hidden; border-radius: 10px; background: #eddcfd; }
+  .grid img { width: 100%; height: 100%; object-fit: cover; display: block; }
+  video { width: 100%; max-height: 70vh; border-radius: 10px; background: #000; margin-bottom: 8px; }
+  ul.files { padding-left: 18px; }
+  ul.items { list-style: none; padding: 0; margin: 0; display: grid; gap: 8px; }
+  ul.items li a { display: flex; gap: 12px; align-items: center; background: #fff; border: 1px solid #dccdf6; border-radius: 12px; padding: 8px; text-decoration: none; color: inherit; }
+  ul.items .thumb { display: block; width: 64px; height: 64px; flex: none; border-radius: 8px; object-fit: cover; background: #eddcfd; }
+  ul.items .date { color: #6b5fa3; font-size: 13px; }
+  ul.items .counts { color: #6b5fa3; font-size: 12px; }
+  nav { margin-bottom: 16px; font-size: 14px; }
+`;
+
+export function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function href(path) {
+  // Relative file paths may contain spaces, '#', '?', or Hangul; encode each segment.
+  return String(path).split('/').map(encodeURIComponent).join('/');
+}
+
+function page(title, body) {
+  return `<!doctype html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body><main>
+${body}
+</main></body>
+</html>
+`;
+}
+
+/**
+ * One album/report page, written inside the item folder.
+ * entry: { kind, date, title, subtitle?, content, comments?, dir, photos: [rel], videos: [rel], files: [{ rel, name }] }
+ */
+export function renderItemPage(entry) {
+  const depth = String(entry.dir || '').split('/').filter(Boolean).length;
+  const indexHref = `${'../'.repeat(depth)}index.html`;
+  const parts = [
+    `<nav><a href="${indexHref}">← 전체 목록</a></nav>`,
+    `<h1>${escapeHtml(entry.title)}</h1>`,
+    `<div class="meta">${escapeHtml([entry.date, entry.kind, entry.subtitle].filter(Boolean).join(' · '))}</div>`,
+  ];
+  if (entry.content) parts.push(`<div class="body">${escapeHtml(entry.content)}</div>`);
+  if (entry.photos?.length) {
+    parts.push(`<h2>사진 ${entry.photos.length}</h2>`);
+    parts.push(`<div class="grid">${entry.photos.map((rel) => `<a href="${href(rel)}"><img src="${href(rel)}" loading="lazy" alt=""></a>`).join('')}</div>`);
+  }
+  if (entry.videos?.length) {
+    parts.push(`<h2>동영상 ${entry.videos.length}</h2>`);
+    parts.push(entry.videos.map((rel) => `<video src="${href(rel)}" controls preload="metadata"></video>`).join('\n'));
+  }
+  if (entry.comments) {
+    parts.push('<h2>댓글</h2>');
+    parts.push(`<div class="body">${escapeHtml(entry.comments)}</div>`);
+  }
+  if (entry.files?.length) {
+    parts.push(`<h2>첨부파일 ${entry.files.length}</h2>`);
+    parts.push(`<ul class="files">${entry.files.map((f) => `<li><a href="${href(f.rel)}">${escapeHtml(f.name || f.rel)}</a></li>`).join('')}</ul>`);
+  }
+  return page(`${entry.date} ${entry.title}`, parts.join('\n'));
+}
+
+/**
+ * Root index listing every item, newest first and grouped by month.
+ * items: [{ date, title, dir, thumb?, photos, videos, files }] with dir/thumb relative to the root.
+ */
+export function renderIndexPage(title, items) {
+  const sorted = [...items].sort((a, b) => String(b.date).localeCompare(String(a.date)) || String(b.dir).localeCompare(String(a.dir)));
+  const months = new Map();
+  for (const it of sorted) {
+    const ym = String(it.date || '').slice(0, 7) || '날짜 없음';
+    if (!months.has(ym)) months.set(ym, []);
+    months.get(ym).push(it);
+  }
+  const parts = [`<h1>${escapeHtml(title)}</h1>`, `<div class="meta">${sorted.length}개 항목</div>`];
+  for (const [ym, list] of months) {
+    parts.push(`<h2>${escapeHtml(ym)}</h2>`);
+    parts.push(`<ul class="items">${list.map((it) => {
+      const thumb = it.thumb ? `<img class="thumb" src="${href(it.thumb)}" loading="lazy" alt="">` : '<span class="thumb"></span>';
+      const counts = [
+        it.photos ? `사진 ${it.photos}` : '',
+        it.videos ? `동영상 ${it.videos}` : '',
+        it.files ? `파일 ${it.files}` : '',
+      ].filter(Boolean).join(' · ');
+      return `<li><a href="${href(`${it.dir}/index.html`)}">${thumb}<span><span class="date">${escapeHtml(it.date)}</span><br>${escapeHtml(it.title)}<br><span class="counts">${escapeHtml(counts)}</span></span></a></li>`;
+    }).join('')}</ul>`);
+  }
+  return page(title, parts.join('\n'));
+}
@@ -0,0 +1,146 @@
+// Kidsnote board types the download engine understands. Each descriptor says where the list lives, how the
+// content script answers for it, and how to read one item (date, title, media). Adding a board is one entry here
+// plus a content/<name>_list.js that registers the same message names.
+
+import { renderReportText } from './report_text.js';
+
+const KIDSNOTE_ORIGIN = 'https://www.kidsnote.com';
+
+function pickBestImageUrl(img) {
+  // Prefer original over resized.
+  return img?.original || img?.large || img?.large_resize || img?.small || img?.small_resize || null;
+}
+
+function pickBestVideoUrl(v) {
+  return v?.high || v?.low || null;
+}
+
+function flattenVideoUrl(v) {
+  if (!v) return [];
+  if (typeof v === 'string') return [v];
+  if (typeof v === 'object') return [v.high, v.low, v.url].filter(Boolean);
+  return [];
+}
+
+function postVideoUrls(item) {
+  // Reports/notices carry one attached/material video; some responses use an array instead.
+  const urls = [...flattenVideoUrl(item.attached_video), ...flattenVideoUrl(item.material_video)];
+  if (Array.isArray(item.attached_videos)) {
+    for (const v of item.attached_videos) urls.push(...flattenVideoUrl(v));
+  }
+  return [...new Set(urls)].filter(Boolean);
+}
+
+function postFiles(item) {
+  const files = [];
+  for (const f of Array.isArray(item.attached_files) ? item.attached_files : []) {
+    if (!f) continue;
+    if (typeof f === 'string') files.push({ url: f, name: null });
+    else files.push({ url: f.url || f.file || f.download_url || f.downloadUrl || null, name: f.name || f.filename || f.original_name || null });
+  }
+  return files.filter((x) => x.url);
+}
+
+function postMedia(item) {
+  return {
+    photo: (item.attached_images || []).map(pickBestImageUrl).filter(Boolean),
+    video: postVideoUrls(item),
+    file: postFiles(item),
+  };
+}
+
+/**
+ * Descriptor fields:
+ * - mode / label / itemNoun: storage key, UI name, and what the result report calls one item
+ * - page / ping / scanKey: service page URL, content-script ping message, where the detected API is remembered
+ * - messages.apiInfo / messages.fetchPage: content-script messages for API detection and the list relay
+ * - listUrl(childId) / commentsUrl(id): API endpoints (list URL is used when fanning out over children)
+ * - ledgerKey / defaultRoot / nameTemplate: sync ledger key, default download root, default folder template
+ * - createdOf(item) / titleOf(item) / subtitleOf(item): date source and display strings
+ * - textOf(item, { child }): contents of text.txt
+ * - mediaOf(item) -> { photo: [url], video: [url], file: [{ url, name }] }
+ * - hasFiles: whether the board can carry attachments (hides the file count otherwise)
+ */
+export const CONTENT_TYPES = {
+  album: {
+    mode: 'album',
+    label: '앨범',
+    itemNoun: '앨범',
+    page: `${KIDSNOTE_ORIGIN}/service/album`,
+    ping: 'PING_KN_DL',
+    scanKey: 'scanInfo',
+    messages: { apiInfo: 'GET_ALBUM_API_INFO', fetchPage: 'FETCH_ALBUMS_PAGE' },
+    listUrl: (childId) => `${KIDSNOTE_ORIGIN}/api/v1_3/children/${childId}/albums/`,
+    commentsUrl: (id) => `${KIDSNOTE_ORIGIN}/api/v1_3/albums/${id}/comments/`,
+    ledgerKey: 'ledgerAlbum',
+    defaultRoot: 'Kidsnote_album',
+    // User preference: keep album folder names clean (no trailing id).
+    nameTemplate: '{yyyy}-{mm}-{dd}-{title}',
+    createdOf: (item) => item.created || '',
+    titleOf: (item) => item.title || '',
+    subtitleOf: () => '',
+    textOf: (item) => item.content || '',
+    mediaOf: (item) => ({
+      photo: (item.attached_images || []).map(pickBestImageUrl).filter(Boolean),
+      video: (item.attached_videos || []).map(pickBestVideoUrl).filter(Boolean),
+      file: [],
+    }),
+    hasFiles: false,
+  },
+  report: {
+    mode: 'report',
+    label: '알림장',
+    itemNoun: '글',
+    page: `${KIDSNOTE_ORIGIN}/service/report`,
+    ping: 'PING_KN_DL_REPORT',
+    scanKey: 'scanInfoReport',
+    messages: { apiInfo: 'GET_REPORT_API_INFO', fetchPage: 'FETCH_REPORTS_PAGE' },
+    listUrl: (childId) => `${KIDSNOTE_ORIGIN}/api/v1_2/children/${childId}/reports/`,
+    commentsUrl: (id) => `${KIDSNOTE_ORIGIN}/api/v1_2/reports/${id}/comments/`,
+    ledgerKey: 'ledgerReport',
+    defaultRoot: 'Kidsnote_report',
+    // Reports have no title; the id keeps same-day reports from the same class apart.
+    nameTemplate: '{yyyy}-{mm}-{dd}-{title}-{id}',
+    createdOf: (item) => item.created || item.date_written || '',
+    titleOf: (item) => item.class_name || item.author_name || '',
+    subtitleOf: (item) => item.author_name || '',
+    // Header (date/class/author/child) + body + structured sections such as meals and nap.
+    textOf: (item, ctx) => renderReportText(item, ctx),
+    mediaOf: postMedia,
+    hasFiles: true,
+  },
+  notice: {
+    mode: 'notice',
+    label: '공지사항',
+    itemNoun: '글',
+    page: `${KIDSNOTE_ORIGIN}/service/notice`,
+    ping: 'PING_KN_DL_NOTICE',
+    scanKey: 'scanInfoNotice',
+    messages: { apiInfo: 'GET_NOTICE_API_INFO', fetchPage: 'FETCH_NOTICES_PAGE' },
+    listUrl: (childId) => `${KIDSNOTE_ORIGIN}/api/v1_2/children/${childId}/notices/`,
+    commentsUrl: (id) => `${KIDSNOTE_ORIGIN}/api/v1_2/notices/${id}/comments/`,
+    ledgerKey: 'ledgerNotice',
+    defaultRoot: 'Kidsnote_notice',
+    nameTemplate: '{yyyy}-{mm}-{dd}-{title}-{id}',
+    createdOf: (item) => item.created || item.date_written || '',
+    titleOf: (item) => item.title || item.class_name || '',
+    subtitleOf: (item) => [item.class_name, item.author_name].filter(Boolean).join(' · '),
+    textOf: (item) => item.content || '',
+    // Notices carry the same attachment fields as reports.
+    mediaOf: postMedia,
+    hasFiles: true,
+  },
+};
+
+export function contentType(mode) {
+  const type = CONTENT_TYPES[mode];
+  if (!type) throw new Error(`UNKNOWN_MODE: ${mode}`);
+  return type;
+}
+
+/** 'START_DOWNLOAD_NOTICE' -> CONTENT_TYPES.notice (null for unknown suffixes). */
+export function contentTypeFromKind(kind, prefix, suffix = '') {
+  const s = String(kind || '');
+  if (!s.startsWith(prefix) || !s.endsWith(suffix)) return null;
+  return CONTENT_TYPES[s.slice(prefix.length, s.length - suffix.length).toLowerCase()] || null;
+}
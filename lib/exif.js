@@ -0,0 +1,224 @@
+// Minimal JPEG EXIF writer used by the service worker.
+// Only what the downloader needs: capture date (DateTimeOriginal) and a description.
+
+const TYPE_BYTE = 1;
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_UNDEFINED = 7;
+
+const TAG_IMAGE_DESCRIPTION = 0x010e;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATETIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_XP_TITLE = 0x9c9b;
+const TAG_EXIF_VERSION = 0x9000;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_DATETIME_DIGITIZED = 0x9004;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+
+// A JPEG segment's 16-bit length counts itself, so APP1 holds at most 65533 bytes of payload. The description goes
+// in twice (UTF-8 ImageDescription + UCS-2 XPTitle); everything else in the segment takes well under 1 KB.
+const MAX_DESCRIPTION_BYTES = 64000;
+
+/**
+ * Convert an API timestamp ("2024-10-12T09:30:00+09:00", "2024-10-12 09:30", "2024-10-12")
+ * into EXIF "YYYY:MM:DD HH:MM:SS" plus an optional "+HH:MM" offset, keeping the wall-clock time as posted.
+ */
+export function toExifDateTime(created) {
+  const m = String(created || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!m) return null;
+  const [, y, mo, d, h = '00', mi = '00', sec = '00'] = m;
+  const tz = String(created).match(/([+-])(\d{2}):?(\d{2})$/);
+  const offset = /Z$/.test(String(created)) ? '+00:00' : (tz ? `${tz[1]}${tz[2]}:${tz[3]}` : '');
+  return { dateTime: `${y}:${mo}:${d} ${h}:${mi}:${sec}`, offset };
+}
+
+function asciiBytes(str) {
+  // EXIF ASCII fields are NUL-terminated; UTF-8 is what most viewers expect for non-Latin text.
+  return [...new TextEncoder().encode(str), 0];
+}
+
+function ucs2Bytes(str) {
+  const out = [];
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    out.push(c & 0xff, c >> 8);
+  }
+  out.push(0, 0);
+  return out;
+}
+
+function clampDescription(str) {
+  // Cut whole characters (never half a surrogate pair) so both copies fit in MAX_DESCRIPTION_BYTES.
+  let used = 3; // the two terminators
+  let end = 0;
+  for (const ch of str) {
+    const cp = ch.codePointAt(0);
+    const utf8 = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (used + utf8 + ch.length * 2 > MAX_DESCRIPTION_BYTES) return `${str.slice(0, end)}…`;
+    used += utf8 + ch.length * 2;
+    end += ch.length;
+  }
+  return str;
+}
+
+function readSegments(bytes) {
+  // Returns [{ marker, start, end }] for header segments up to (not including) SOS.
+  const segments = [];
+  let pos = 2;
+  while (pos + 4 <= bytes.length) {
+    if (bytes[pos] !== 0xff) return null;
+    const marker = bytes[pos + 1];
+    if (marker === 0xda || marker === 0xd9) break; // SOS / EOI: image data follows
+    const len = (bytes[pos + 2] << 8) | bytes[pos + 3];
+    if (len < 2 || pos + 2 + len > bytes.length) return null;
+    segments.push({ marker, start: pos, end: pos + 2 + len });
+    pos += 2 + len;
+  }
+  return { segments, dataStart: pos };
+}
+
+function isExifSegment(bytes, seg) {
+  if (seg.marker !== 0xe1) return false;
+  return EXIF_HEADER.every((b, i) => bytes[seg.start + 4 + i] === b);
+}
+
+function readExisting(bytes, seg) {
+  // Pull the few values we want to keep out of an existing EXIF block.
+  const found = { orientation: null, dateTimeOriginal: null };
+  try {
+    const tiff = seg.start + 10;
+    const view = new DataView(bytes.buffer, bytes.byteOffset + tiff, seg.end - tiff);
+    const little = view.getUint16(0) === 0x4949;
+    const u16 = (o) => view.getUint16(o, little);
+    const u32 = (o) => view.getUint32(o, little);
+    const readIfd = (offset, visit) => {
+      const count = u16(offset);
+      for (let i = 0; i < count; i++) visit(offset + 2 + i * 12);
+    };
+    let exifIfd = 0;
+    readIfd(u32(4), (e) => {
+      const tag = u16(e);
+      if (tag === TAG_ORIENTATION) found.orientation = u16(e + 8);
+      if (tag === TAG_EXIF_IFD) exifIfd = u32(e + 8);
+    });
+    if (exifIfd) {
+      readIfd(exifIfd, (e) => {
+        if (u16(e) !== TAG_DATETIME_ORIGINAL) return;
+        const count = u32(e + 4);
+        const at = count > 4 ? u32(e + 8) : e + 8;
+        let s = '';
+        for (let i = 0; i < count - 1; i++) s += String.fromCharCode(view.getUint8(at + i));
+        if (/^\d{4}:\d{2}:\d{2}/.test(s) && !s.startsWith('0000')) found.dateTimeOriginal = s;
+      });
+    }
+  } catch {
+    // Malformed EXIF: treat as absent and replace it.
+  }
+  return found;
+}
+
+function buildIfd(entries, offset) {
+  // entries: [{ tag, type, count, bytes }] sorted by tag. Big-endian; values > 4 bytes go after the IFD.
+  const head = 2 + entries.length * 12 + 4;
+  const out = [];
+  const data = [];
+  const push16 = (arr, v) => arr.push((v >> 8) & 0xff, v & 0xff);
+  const push32 = (arr, v) => arr.push((v >>> 24) & 0xff, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff);
+  push16(out, entries.length);
+  for (const e of entries) {
+    push16(out, e.tag);
+    push16(out, e.type);
+    push32(out, e.count);
+    if (e.bytes.length <= 4) {
+      out.push(...e.bytes, ...new Array(4 - e.bytes.length).fill(0));
+    } else {
+      push32(out, offset + head + data.length);
+      data.push(...e.bytes);
+      if (data.length % 2) data.push(0); // keep word alignment
+    }
+  }
+  push32(out, 0); // no next IFD
+  return out.concat(data);
+}
+
+function buildExifSegment({ dateTime, offset, description, orientation }) {
+  description = clampDescription(description);
+  const ifd0 = [];
+  if (description) {
+    const desc = asciiBytes(description);
+    ifd0.push({ tag: TAG_IMAGE_DESCRIPTION, type: TYPE_ASCII, count: desc.length, bytes: desc });
+  }
+  if (orientation) ifd0.push({ tag: TAG_ORIENTATION, type: TYPE_SHORT, count: 1, bytes: [0, orientation & 0xff] });
+  const dt = asciiBytes(dateTime);
+  ifd0.push({ tag: TAG_DATETIME, type: TYPE_ASCII, count: dt.length, bytes: dt });
+  ifd0.push({ tag: TAG_EXIF_IFD, type: TYPE_LONG, count: 1, bytes: [0, 0, 0, 0] }); // patched below
+  if (description) {
+    // Windows Explorer ignores UTF-8 in ImageDescription but shows XPTitle.
+    const xp = ucs2Bytes(description);
+    ifd0.push({ tag: TAG_XP_TITLE, type: TYPE_BYTE, count: xp.length, bytes: xp });
+  }
+
+  const exif = [
+    { tag: TAG_EXIF_VERSION, type: TYPE_UNDEFINED, count: 4, bytes: [0x30, 0x32, 0x33, 0x32] },
+    { tag: TAG_DATETIME_ORIGINAL, type: TYPE_ASCII, count: dt.length, bytes: dt },
+    { tag: TAG_DATETIME_DIGITIZED, type: TYPE_ASCII, count: dt.length, bytes: dt },
+  ];
+  if (offset) {
+    const off = asciiBytes(offset);
+    exif.push({ tag: TAG_OFFSET_TIME_ORIGINAL, type: TYPE_ASCII, count: off.length, bytes: off });
+  }
+
+  const ifd0Bytes = buildIfd(ifd0, 8);
+  const exifOffset = 8 + ifd0Bytes.length;
+  const ptr = ifd0.findIndex((e) => e.tag === TAG_EXIF_IFD);
+  const at = 2 + ptr * 12 + 8;
+  ifd0Bytes[at] = (exifOffset >>> 24) & 0xff;
+  ifd0Bytes[at + 1] = (exifOffset >> 16) & 0xff;
+  ifd0Bytes[at + 2] = (exifOffset >> 8) & 0xff;
+  ifd0Bytes[at + 3] = exifOffset & 0xff;
+  const exifBytes = buildIfd(exif, exifOffset);
+
+  const tiff = [0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, ...ifd0Bytes, ...exifBytes];
+  const len = 2 + EXIF_HEADER.length + tiff.length;
+  return Uint8Array.from([0xff, 0xe1, (len >> 8) & 0xff, len & 0xff, ...EXIF_HEADER, ...tiff]);
+}
+
+/**
+ * Return a copy of `bytes` (a JPEG) with DateTimeOriginal/ImageDescription set.
+ * Returns null when the input isn't a JPEG we can parse. Photos that already carry a real
+ * capture date are returned unchanged so camera metadata isn't thrown away.
+ */
+export function writeJpegExif(bytes, { created, description }) {
+  if (!(bytes instanceof Uint8Array) || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  const when = toExifDateTime(created);
+  if (!when) return null;
+  const parsed = readSegments(bytes);
+  if (!parsed) return null;
+
+  const existing = parsed.segments.filter((seg) => isExifSegment(bytes, seg));
+  const kept = existing.length ? readExisting(bytes, existing[0]) : { orientation: null, dateTimeOriginal: null };
+  if (kept.dateTimeOriginal) return bytes;
+
+  const app1 = buildExifSegment({ ...when, description: description || '', orientation: kept.orientation });
+  const others = parsed.segments.filter((seg) => !isExifSegment(bytes, seg));
+  // JFIF expects APP0 first; put EXIF right after it.
+  const lead = others.length && others[0].marker === 0xe0 ? [others.shift()] : [];
+
+  const parts = [bytes.subarray(0, 2)];
+  for (const seg of lead) parts.push(bytes.subarray(seg.start, seg.end));
+  parts.push(app1);
+  for (const seg of others) parts.push(bytes.subarray(seg.start, seg.end));
+  parts.push(bytes.subarray(parsed.dataStart));
+
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
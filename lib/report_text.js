@@ -0,0 +1,93 @@
+// text.txt for reports (알림장): a header block, the teacher's note, then every structured section the record
+// carries (meals, nap, health, ...). Plain text with Markdown-style headings so it reads fine either way.
+
+// Known structured fields, in the order the Kidsnote app shows them. Several names are accepted per section
+// because the field names differ between API versions.
+const REPORT_SECTIONS = [
+  { label: '날씨', keys: ['weather'] },
+  { label: '기분', keys: ['mood', 'feeling', 'emotion'] },
+  { label: '건강', keys: ['health', 'health_status', 'condition'] },
+  { label: '체온', keys: ['temperature', 'body_temperature', 'temperature_status'] },
+  { label: '식사', keys: ['meal', 'meals', 'meal_status', 'eating'] },
+  { label: '낮잠', keys: ['sleep', 'nap', 'sleep_status', 'nap_status', 'sleep_time'] },
+  { label: '배변', keys: ['defecation', 'defecation_status', 'toilet', 'stool'] },
+  { label: '투약', keys: ['medication', 'medicine', 'dosage'] },
+  { label: '귀가', keys: ['return_home', 'pickup', 'going_home'] },
+  { label: '준비물', keys: ['supplies', 'preparation'] },
+  { label: '요청사항', keys: ['request', 'parent_request', 'requests'] },
+];
+
+// Any other filled-in field we don't have a label for is still printed under its raw key, nested ones included, so
+// nothing the teacher wrote is lost; left out are the header/body fields, the author, attachments and media, ids,
+// URLs and bookkeeping counters and flags.
+const SKIP_EXTRA_FIELDS = new Set([
+  'id', 'date_written', 'created', 'modified', 'class_name', 'author_name', 'child_name', 'content', 'num_comments',
+  'author', 'child', 'read_status', 'approval_status', 'publish_status', 'delivery_status',
+]);
+const SKIP_EXTRA_FIELD_RE = /(^|_)(ids?|urls?)$|^is_|_count$|^(attached|attachment|media|thumbnail)/;
+
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+
+function isEmpty(value) {
+  if (value == null || value === '') return true;
+  if (Array.isArray(value)) return value.every(isEmpty);
+  if (typeof value === 'object') return Object.values(value).every(isEmpty);
+  return false;
+}
+
+function formatValue(value, depth = 0) {
+  // Scalars print as-is; arrays become bullet lists; objects become "key: value" lines.
+  const indent = '  '.repeat(depth);
+  if (Array.isArray(value)) {
+    return value.filter((v) => !isEmpty(v)).map((v) => {
+      const text = formatValue(v, depth + 1).trimStart();
+      return `${indent}- ${text}`;
+    }).join('\n');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).filter(([, v]) => !isEmpty(v)).map(([k, v]) => {
+      if (v && typeof v === 'object') return `${indent}${k}:\n${formatValue(v, depth + 1)}`;
+      return `${indent}${k}: ${v}`;
+    }).join('\n');
+  }
+  if (typeof value === 'boolean') return `${indent}${value ? '예' : '아니오'}`;
+  return String(value).split('\n').map((line) => `${indent}${line}`).join('\n');
+}
+
+function formatDateLine(raw) {
+  const m = String(raw || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+  if (!m) return String(raw || '');
+  const day = WEEKDAYS[new Date(+m[1], +m[2] - 1, +m[3]).getDay()];
+  return `${m[1]}-${m[2]}-${m[3]} (${day})${m[4] ? ` ${m[4]}:${m[5]}` : ''}`;
+}
+
+/** Render one report record. `child` is the child's name when the run fans out over several children. */
+export function renderReportText(report, { child } = {}) {
+  const written = report.date_written || report.created || '';
+  const header = [
+    ['날짜', formatDateLine(written)],
+    ['작성', report.created && report.created !== written ? formatDateLine(report.created) : ''],
+    ['반', report.class_name],
+    ['작성자', report.author_name || report.author?.name],
+    ['아이', child || report.child_name],
+  ].filter(([, v]) => v).map(([k, v]) => `${k}: ${v}`);
+
+  const parts = [`# 알림장 ${String(written).slice(0, 10)}`.trim(), header.join('\n')];
+  if (!isEmpty(report.content)) parts.push(`## 본문\n${String(report.content).trim()}`);
+
+  const used = new Set();
+  for (const section of REPORT_SECTIONS) {
+    const values = section.keys.filter((k) => !isEmpty(report[k]));
+    values.forEach((k) => used.add(k));
+    if (!values.length) continue;
+    const body = values.length === 1
+      ? formatValue(report[values[0]])
+      : values.map((k) => `${k}: ${formatValue(report[k]).trimStart()}`).join('\n');
+    parts.push(`## ${section.label}\n${body}`);
+  }
+  for (const [k, v] of Object.entries(report)) {
+    if (used.has(k) || SKIP_EXTRA_FIELDS.has(k) || SKIP_EXTRA_FIELD_RE.test(k) || isEmpty(v)) continue;
+    parts.push(`## ${k}\n${formatValue(v)}`);
+  }
+  return `${parts.filter(Boolean).join('\n\n')}\n`;
+}
@@ -0,0 +1,183 @@
+// Store-only (no compression) ZIP builder for the offscreen document.
+// Photos/videos are already compressed, so storing keeps it fast. The archive is assembled from Blob
+// parts so large videos are never held in JS memory as a whole; ZIP64 kicks in past 4 GB.
+
+const CHUNK_FLUSH_BYTES = 8 * 1024 * 1024;
+const U32_MAX = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+export function crc32(bytes, crc = 0) {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(created) {
+  // Use the post's wall-clock time so extracted files sort by post date. Falls back to now.
+  const m = String(created || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  const d = new Date();
+  const [y, mo, da, h, mi, s] = m
+    ? [+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)]
+    : [d.getFullYear(), d.getMonth() + 1, d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds()];
+  return {
+    time: (h << 11) | (mi << 5) | Math.floor(s / 2),
+    date: (Math.max(0, y - 1980) << 9) | (mo << 5) | da,
+  };
+}
+
+/** Read a stream into a Blob while computing its CRC, keeping at most ~8 MB in JS memory. */
+export async function readStreamIntoBlob(stream) {
+  const reader = stream.getReader();
+  const blobs = [];
+  let chunks = [];
+  let pending = 0;
+  let size = 0;
+  let crc = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    crc = crc32(value, crc);
+    size += value.length;
+    chunks.push(value);
+    pending += value.length;
+    if (pending >= CHUNK_FLUSH_BYTES) {
+      blobs.push(new Blob(chunks));
+      chunks = [];
+      pending = 0;
+    }
+  }
+  if (chunks.length) blobs.push(new Blob(chunks));
+  return { blob: new Blob(blobs), crc, size };
+}
+
+export function bytesToBlob(bytes) {
+  return { blob: new Blob([bytes]), crc: crc32(bytes), size: bytes.length };
+}
+
+export function createZipBuilder() {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  function push(part, len) {
+    parts.push(part);
+    offset += len;
+  }
+
+  /** Append one stored entry. `data` comes from readStreamIntoBlob()/bytesToBlob(). */
+  function addEntry(path, data, created) {
+    const name = new TextEncoder().encode(path);
+    const { time, date } = dosDateTime(created);
+    const headerOffset = offset;
+    const zip64 = data.size >= U32_MAX || headerOffset >= U32_MAX;
+
+    const local = new DataView(new ArrayBuffer(30 + name.length + (zip64 ? 20 : 0)));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, zip64 ? 45 : 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, data.crc, true);
+    local.setUint32(18, zip64 ? U32_MAX : data.size, true);
+    local.setUint32(22, zip64 ? U32_MAX : data.size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, zip64 ? 20 : 0, true);
+    new Uint8Array(local.buffer).set(name, 30);
+    if (zip64) {
+      const x = 30 + name.length;
+      local.setUint16(x, 0x0001, true);
+      local.setUint16(x + 2, 16, true);
+      local.setBigUint64(x + 4, BigInt(data.size), true);
+      local.setBigUint64(x + 12, BigInt(data.size), true);
+    }
+    push(local.buffer, local.byteLength);
+    push(data.blob, data.size);
+    central.push({ name, time, date, crc: data.crc, size: data.size, headerOffset });
+  }
+
+  /** Close the archive and return it as a single Blob. */
+  function finish() {
+    const cdStart = offset;
+    for (const e of central) {
+      const bigSize = e.size >= U32_MAX;
+      const bigOffset = e.headerOffset >= U32_MAX;
+      const extraLen = bigSize || bigOffset ? 4 + (bigSize ? 16 : 0) + (bigOffset ? 8 : 0) : 0;
+      const cd = new DataView(new ArrayBuffer(46 + e.name.length + extraLen));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 45, true);
+      cd.setUint16(6, extraLen ? 45 : 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, 0, true);
+      cd.setUint16(12, e.time, true);
+      cd.setUint16(14, e.date, true);
+      cd.setUint32(16, e.crc, true);
+      cd.setUint32(20, bigSize ? U32_MAX : e.size, true);
+      cd.setUint32(24, bigSize ? U32_MAX : e.size, true);
+      cd.setUint16(28, e.name.length, true);
+      cd.setUint16(30, extraLen, true);
+      cd.setUint32(42, bigOffset ? U32_MAX : e.headerOffset, true);
+      new Uint8Array(cd.buffer).set(e.name, 46);
+      if (extraLen) {
+        let x = 46 + e.name.length;
+        cd.setUint16(x, 0x0001, true);
+        cd.setUint16(x + 2, extraLen - 4, true);
+        x += 4;
+        if (bigSize) {
+          cd.setBigUint64(x, BigInt(e.size), true);
+          cd.setBigUint64(x + 8, BigInt(e.size), true);
+          x += 16;
+        }
+        if (bigOffset) cd.setBigUint64(x, BigInt(e.headerOffset), true);
+      }
+      push(cd.buffer, cd.byteLength);
+    }
+    const cdSize = offset - cdStart;
+
+    const needZip64 = central.length > 0xffff || cdStart >= U32_MAX || cdSize >= U32_MAX;
+    if (needZip64) {
+      const eocd64Offset = offset;
+      const r = new DataView(new ArrayBuffer(56 + 20));
+      r.setUint32(0, 0x06064b50, true);
+      r.setBigUint64(4, 44n, true);
+      r.setUint16(12, 45, true);
+      r.setUint16(14, 45, true);
+      r.setBigUint64(24, BigInt(central.length), true);
+      r.setBigUint64(32, BigInt(central.length), true);
+      r.setBigUint64(40, BigInt(cdSize), true);
+      r.setBigUint64(48, BigInt(cdStart), true);
+      // ZIP64 end-of-central-directory locator
+      r.setUint32(56, 0x07064b50, true);
+      r.setBigUint64(64, BigInt(eocd64Offset), true);
+      r.setUint32(72, 1, true);
+      push(r.buffer, r.byteLength);
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, needZip64 ? 0xffff : central.length, true);
+    end.setUint16(10, needZip64 ? 0xffff : central.length, true);
+    end.setUint32(12, needZip64 ? U32_MAX : cdSize, true);
+    end.setUint32(16, needZip64 ? U32_MAX : cdStart, true);
+    push(end.buffer, end.byteLength);
+
+    return new Blob(parts, { type: 'application/zip' });
+  }
+
+  return {
+    addEntry,
+    finish,
+    get entryCount() {
+      return central.length;
+    },
+  };
+}
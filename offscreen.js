@@ -0,0 +1,77 @@
+// Offscreen document: assembles ZIP archives for the service worker, which can't create blob: URLs.
+// Media is fetched here and streamed into Blob parts, so the SW never holds file bytes.
+
+import { bytesToBlob, createZipBuilder, readStreamIntoBlob } from './lib/zip.js';
+import { writeJpegExif } from './lib/exif.js';
+
+const zips = new Map();
+
+function getZip(zipId) {
+  const zip = zips.get(zipId);
+  if (!zip) throw new Error('ZIP_NOT_OPEN');
+  return zip;
+}
+
+async function fetchEntry(url, exif) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`HTTP_${r.status}`);
+  if (exif) {
+    // Photos are small; EXIF needs the whole JPEG anyway.
+    const original = new Uint8Array(await r.arrayBuffer());
+    return bytesToBlob(writeJpegExif(original, exif) || original);
+  }
+  return readStreamIntoBlob(r.body);
+}
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.target !== 'offscreen') return false;
+  (async () => {
+    try {
+      if (msg.kind === 'ZIP_OPEN') {
+        zips.set(msg.zipId, { builder: createZipBuilder(), url: null });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg.kind === 'ZIP_ADD_TEXT') {
+        const data = bytesToBlob(new TextEncoder().encode(msg.text ?? ''));
+        getZip(msg.zipId).builder.addEntry(msg.path, data, msg.created);
+        sendResponse({ ok: true, bytes: data.size });
+        return;
+      }
+
+      if (msg.kind === 'ZIP_ADD_URL') {
+        const zip = getZip(msg.zipId);
+        const data = await fetchEntry(msg.url, msg.exif);
+        zip.builder.addEntry(msg.path, data, msg.created);
+        sendResponse({ ok: true, bytes: data.size });
+        return;
+      }
+
+      if (msg.kind === 'ZIP_FINISH') {
+        const zip = getZip(msg.zipId);
+        // The SW retries the download with the same archive, so finish only once.
+        if (!zip.url) {
+          const blob = zip.builder.finish();
+          zip.size = blob.size;
+          zip.url = URL.createObjectURL(blob);
+        }
+        sendResponse({ ok: true, url: zip.url, size: zip.size, entries: zip.builder.entryCount });
+        return;
+      }
+
+      if (msg.kind === 'ZIP_RELEASE') {
+        const zip = zips.get(msg.zipId);
+        if (zip?.url) URL.revokeObjectURL(zip.url);
+        zips.delete(msg.zipId);
+        sendResponse({ ok: true });
+        return;
+      }
+
+      sendResponse({ ok: false, error: 'unknown message' });
+    } catch (e) {
+      sendResponse({ ok: false, error: String(e?.message || e) });
+    }
+  })();
+  return true;
+});
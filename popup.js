@@ -5,7 +5,7 @@ const LOG_SESSION_KEY = 'popupLogLines';
 const STATUS_STORAGE_AREA = 'session';
 const statusStorage = chrome.storage?.session || null;
 let logLines = [];
-const statusState = { progressText: '', finalReport: '' };
+const statusState = { progressText: '', finalReport: '', progress: null };
 
 // Clear legacy persistent keys from older versions.
 void chrome.storage.local.remove(['progressText', 'finalReport']).catch(() => {});
@@ -88,33 +88,86 @@ function showAlert(message) {
   el.textContent = message;
 }
 
-function setBadge(progressText, reportText) {
+function fmtBytes(n) {
+  if (!n) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+  return `${(n / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+function fmtDuration(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Badge class/text per progress phase (the `progress` object the service worker keeps in session storage).
+const PHASE_BADGES = {
+  starting: ['running', 'Running'],
+  scanning: ['running', 'Running'],
+  downloading: ['running', 'Running'],
+  writing: ['running', 'Running'],
+  retrying: ['running', 'Retrying'],
+  done: ['ok', 'Done'],
+  partial: ['warn', 'Partial'],
+  stopped: ['warn', 'Stopped'],
+  paused: ['warn', 'Paused'],
+  error: ['err', 'Error'],
+};
+const RUNNING_PHASES = new Set(['starting', 'scanning', 'downloading', 'writing', 'retrying']);
+const PHASE_LABELS = {
+  starting: '준비 중',
+  scanning: '목록 확인 중',
+  downloading: '다운로드 중',
+  writing: '마무리 중',
+  retrying: '재시도 중',
+  done: '완료',
+  partial: '완료(일부 실패)',
+  stopped: '중단됨',
+  paused: '일시정지됨',
+  error: '실패',
+};
+let progressTimer = null;
+
+function renderProgressBar(progress) {
+  const bar = $('progressBar');
+  const fill = $('progressFill');
+  const meta = $('progressMeta');
+  if (!bar || !fill || !meta) return;
+  if (!progress) {
+    bar.classList.remove('indeterminate');
+    fill.style.width = '0%';
+    meta.textContent = '';
+    return;
+  }
+  const running = RUNNING_PHASES.has(progress.phase);
+  const unknown = running && progress.percent == null;
+  bar.classList.toggle('indeterminate', unknown);
+  fill.style.width = unknown ? '' : `${progress.percent ?? 0}%`;
+
+  // Elapsed/ETA keep ticking between updates from the worker.
+  const since = running ? Date.now() - progress.updatedAt : 0;
+  const parts = [PHASE_LABELS[progress.phase] || progress.phase];
+  if (progress.child?.count > 1) parts.push(`${progress.child.name || '아이'} ${progress.child.index + 1}/${progress.child.count}`);
+  if (progress.items?.total) parts.push(`${progress.items.done}/${progress.items.total}개`);
+  else if (progress.items?.done) parts.push(`${progress.items.done}개`);
+  if (running && progress.media?.total) parts.push(`미디어 ${progress.media.done}/${progress.media.total}`);
+  if (!unknown && progress.percent != null) parts.push(`${progress.percent}%`);
+  if (progress.bytes) parts.push(fmtBytes(progress.bytes));
+  parts.push(`경과 ${fmtDuration(progress.elapsedMs + since)}`);
+  if (running && progress.etaMs != null) parts.push(`남은 시간 ~${fmtDuration(Math.max(0, progress.etaMs - since))}`);
+  meta.textContent = parts.join(' · ');
+  meta.title = progress.item ? `${progress.item.date ? `${progress.item.date} ` : ''}${progress.item.title || ''}` : '';
+
+  clearInterval(progressTimer);
+  progressTimer = running ? setInterval(() => renderProgressBar(statusState.progress), 1000) : null;
+}
+
+function setBadge(progress) {
   const badge = $('badge');
   const badgeText = $('badgeText');
   if (!badge || !badgeText) return;
 
-  const p = (progressText || '').toLowerCase();
-  const r = (reportText || '').toLowerCase();
-
-  let cls = '';
-  let text = 'Idle';
-
-  if (p.includes('❌') || r.includes('에러') || r.includes('error')) {
-    cls = 'err';
-    text = 'Error';
-  } else if (p.includes('완료')) {
-    cls = 'ok';
-    text = 'Done';
-  } else if (p.includes('중단')) {
-    cls = 'warn';
-    text = 'Stopped';
-  } else if (p.includes('시작') || p.includes('탐색') || p.includes('현재') || p.includes('idx:')) {
-    cls = 'running';
-    text = 'Running';
-  } else if (p && p !== '(대기 중)') {
-    cls = 'running';
-    text = 'Working';
-  }
+  const [cls, text] = PHASE_BADGES[progress?.phase] || ['', 'Idle'];
 
   badge.className = `badge ${cls}`.trim();
   badgeText.textContent = text;
@@ -137,12 +190,347 @@ async function getActiveTab() {
   return tab;
 }
 
+const DATE_PRESET_LABELS = { last7: '최근 7일', thisMonth: '이번 달', sinceLastRun: '마지막 성공 실행 이후' };
+
 function getFilters() {
-  const fromYm = ($('fromYm')?.value || '').trim();
-  const toYm = ($('toYm')?.value || '').trim();
-  return { fromYm, toYm };
+  const preset = $('datePreset')?.value || '';
+  const content = {
+    keyword: ($('filterKeyword')?.value || '').trim(),
+    author: ($('filterAuthor')?.value || '').trim(),
+    className: ($('filterClass')?.value || '').trim(),
+  };
+  // Presets are resolved by the service worker at run time.
+  if (preset) return { preset, from: '', to: '', ...content };
+  const from = ($('fromDate')?.value || '').trim();
+  const to = ($('toDate')?.value || '').trim();
+  return { preset, from, to, ...content };
+}
+
+function syncPresetInputs() {
+  const usePreset = !!$('datePreset')?.value;
+  for (const id of ['fromDate', 'toDate']) {
+    const el = $(id);
+    if (el) el.disabled = usePreset;
+  }
+}
+
+$('datePreset')?.addEventListener('change', syncPresetInputs);
+
+let childList = [];
+
+function getSelectedChildren() {
+  const boxes = Array.from(document.querySelectorAll('#childList input[type=checkbox]'));
+  const picked = new Set(boxes.filter((b) => b.checked).map((b) => b.dataset.id));
+  return childList.filter((c) => picked.has(c.id));
+}
+
+function renderChildList(selectedIds) {
+  const el = $('childList');
+  if (!el) return;
+  el.textContent = '';
+  const selected = new Set(selectedIds || []);
+  for (const c of childList) {
+    const label = document.createElement('label');
+    label.className = 'check';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.id = c.id;
+    box.checked = selected.has(c.id);
+    box.addEventListener('change', persistOptions);
+    label.append(box, ` ${c.name || c.id}${c.className ? ` (${c.className})` : ''}`);
+    el.append(label);
+  }
+}
+
+// Item picker: a browsable album/report/notice list; with "선택한 글만 받기" only the ticked ids are downloaded.
+// The list lives in session storage because the popup is torn down whenever it closes.
+const PICKER_SESSION_KEY = 'itemPicker';
+const PICKER_MODE_LABELS = { album: '앨범', report: '알림장', notice: '공지사항' };
+let picker = { mode: '', items: [], next: null, selectedIds: [] };
+
+function pickerCheckedIds() {
+  return Array.from(document.querySelectorAll('#itemList input[data-id]')).filter((b) => b.checked).map((b) => b.dataset.id);
+}
+
+function persistPicker() {
+  picker.selectedIds = pickerCheckedIds();
+  renderPickSummary();
+  if (chrome.storage?.session) void chrome.storage.session.set({ [PICKER_SESSION_KEY]: picker }).catch(() => {});
+  persistOptions();
+}
+
+function renderPickSummary() {
+  const el = $('pickSummary');
+  if (el) {
+    el.textContent = picker.items.length
+      ? `${PICKER_MODE_LABELS[picker.mode]} ${picker.selectedIds.length}/${picker.items.length}개 선택${picker.next ? ' (더 있음)' : ''}`
+      : '';
+  }
+  if ($('moreItems')) $('moreItems').style.display = picker.next ? '' : 'none';
+}
+
+function renderItemList() {
+  const el = $('itemList');
+  if (!el) return;
+  el.textContent = '';
+  const selected = new Set(picker.selectedIds);
+  const months = new Map();
+  for (const it of picker.items) {
+    const ym = String(it.date || '').slice(0, 7) || '날짜 없음';
+    if (!months.has(ym)) months.set(ym, []);
+    months.get(ym).push(it);
+  }
+  for (const [ym, list] of months) {
+    const boxes = [];
+    const head = document.createElement('label');
+    head.className = 'check itemMonth';
+    const all = document.createElement('input');
+    all.type = 'checkbox';
+    all.checked = list.every((it) => selected.has(it.id));
+    all.addEventListener('change', () => {
+      for (const b of boxes) b.checked = all.checked;
+      persistPicker();
+    });
+    head.append(all, ` ${ym} (${list.length})`);
+    el.append(head);
+
+    for (const it of list) {
+      const row = document.createElement('label');
+      row.className = 'check itemRow';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.dataset.id = it.id;
+      box.checked = selected.has(it.id);
+      box.addEventListener('change', () => {
+        all.checked = boxes.every((b) => b.checked);
+        persistPicker();
+      });
+      boxes.push(box);
+      const thumb = document.createElement(it.thumb ? 'img' : 'span');
+      thumb.className = 'thumb';
+      if (it.thumb) {
+        thumb.src = it.thumb;
+        thumb.loading = 'lazy';
+        thumb.alt = '';
+      }
+      const text = document.createElement('span');
+      const sub = document.createElement('small');
+      sub.textContent = [
+        it.child,
+        it.photos ? `사진 ${it.photos}` : '',
+        it.videos ? `동영상 ${it.videos}` : '',
+        it.files ? `파일 ${it.files}` : '',
+      ].filter(Boolean).join(' · ') || '첨부 없음';
+      text.append(`${it.date} ${it.title || '(제목 없음)'}`, document.createElement('br'), sub);
+      row.append(box, thumb, text);
+      el.append(row);
+    }
+  }
+  renderPickSummary();
+}
+
+async function loadItems(mode, more) {
+  const tab = await getActiveTab();
+  if (!tab?.id) return;
+  const filters = getFilters();
+  if (!validateRangeOrAlert(filters).ok) return;
+  const cursor = more ? picker.next : null;
+  log(`${PICKER_MODE_LABELS[mode]} 목록 요청...`);
+  chrome.runtime.sendMessage({ kind: 'LIST_ITEMS', tabId: tab.id, mode, filters, options: getOptions(), cursor }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    if (!res?.ok) {
+      log('목록 실패: ' + (res?.error || 'unknown') + ' (먼저 준비/연결을 눌러주세요)');
+      return;
+    }
+    if (!more || picker.mode !== mode) picker = { mode, items: [], next: null, selectedIds: [] };
+    picker.items.push(...(res.items || []));
+    picker.next = res.next || null;
+    renderItemList();
+    persistPicker();
+    log(`${PICKER_MODE_LABELS[mode]} ${res.items?.length || 0}개 불러옴 (기간=${res.rangeText})`);
+  });
+}
+
+function getOptions() {
+  const allChildren = !!$('optAllChildren')?.checked;
+  const parallel = Math.min(6, Math.max(1, Math.floor(Number($('optParallel')?.value)) || 3));
+  return {
+    sync: !!$('optSync')?.checked,
+    parallel,
+    zip: $('optZip')?.value || '',
+    types: {
+      text: $('typeText')?.checked !== false,
+      photo: $('typePhoto')?.checked !== false,
+      video: $('typeVideo')?.checked !== false,
+      file: $('typeFile')?.checked !== false,
+    },
+    exif: !!$('optExif')?.checked,
+    html: !!$('optHtml')?.checked,
+    metaJson: !!$('optMetaJson')?.checked,
+    comments: !!$('optComments')?.checked,
+    allChildren,
+    // The SW only fans out over children when this list is non-empty.
+    children: allChildren ? getSelectedChildren() : [],
+    templates: {
+      album: $('tplAlbum')?.value.trim() || '',
+      report: $('tplReport')?.value.trim() || '',
+      notice: $('tplNotice')?.value.trim() || '',
+      media: $('tplMedia')?.value.trim() || '',
+    },
+    pick: $('optPick')?.checked ? { mode: picker.mode, ids: picker.selectedIds } : null,
+  };
+}
+
+async function initOptions() {
+  const obj = await chrome.storage.local.get(['downloadOptions']).catch(() => ({}));
+  const opts = obj.downloadOptions || {};
+  if ($('optSync')) $('optSync').checked = !!opts.sync;
+  if ($('optExif')) $('optExif').checked = !!opts.exif;
+  if ($('optHtml')) $('optHtml').checked = !!opts.html;
+  if ($('optMetaJson')) $('optMetaJson').checked = !!opts.metaJson;
+  if ($('optComments')) $('optComments').checked = !!opts.comments;
+  if ($('optParallel') && opts.parallel) $('optParallel').value = String(opts.parallel);
+  if ($('optZip')) $('optZip').value = opts.zip || '';
+  if ($('typeText')) $('typeText').checked = opts.types?.text !== false;
+  if ($('typePhoto')) $('typePhoto').checked = opts.types?.photo !== false;
+  if ($('typeVideo')) $('typeVideo').checked = opts.types?.video !== false;
+  if ($('typeFile')) $('typeFile').checked = opts.types?.file !== false;
+  if ($('tplAlbum')) $('tplAlbum').value = opts.templates?.album || '';
+  if ($('tplReport')) $('tplReport').value = opts.templates?.report || '';
+  if ($('tplNotice')) $('tplNotice').value = opts.templates?.notice || '';
+  if ($('tplMedia')) $('tplMedia').value = opts.templates?.media || '';
+  if ($('optAllChildren')) $('optAllChildren').checked = !!opts.allChildren;
+  childList = Array.isArray(opts.childList) ? opts.childList : [];
+  renderChildList(opts.selectedChildIds);
+  if ($('optPick')) $('optPick').checked = !!opts.pick;
+  const stored = chrome.storage?.session ? await chrome.storage.session.get([PICKER_SESSION_KEY]).catch(() => ({})) : {};
+  if (stored[PICKER_SESSION_KEY]?.items) picker = stored[PICKER_SESSION_KEY];
+  renderItemList();
+}
+
+function persistOptions() {
+  const selectedChildIds = getSelectedChildren().map((c) => c.id);
+  const downloadOptions = { ...getOptions(), childList, selectedChildIds };
+  void chrome.storage.local.set({ downloadOptions }).catch(() => {});
 }
 
+void initOptions();
+$('optSync')?.addEventListener('change', persistOptions);
+$('optExif')?.addEventListener('change', persistOptions);
+$('optHtml')?.addEventListener('change', persistOptions);
+$('optMetaJson')?.addEventListener('change', persistOptions);
+$('optComments')?.addEventListener('change', persistOptions);
+$('optParallel')?.addEventListener('change', persistOptions);
+$('optZip')?.addEventListener('change', persistOptions);
+for (const id of ['typeText', 'typePhoto', 'typeVideo', 'typeFile']) $(id)?.addEventListener('change', persistOptions);
+$('tplAlbum')?.addEventListener('change', persistOptions);
+$('tplReport')?.addEventListener('change', persistOptions);
+$('tplNotice')?.addEventListener('change', persistOptions);
+$('tplMedia')?.addEventListener('change', persistOptions);
+$('optAllChildren')?.addEventListener('change', persistOptions);
+$('optPick')?.addEventListener('change', persistOptions);
+$('loadItemsAlbum')?.addEventListener('click', () => loadItems('album', false));
+$('loadItemsReport')?.addEventListener('click', () => loadItems('report', false));
+$('loadItemsNotice')?.addEventListener('click', () => loadItems('notice', false));
+$('moreItems')?.addEventListener('click', () => loadItems(picker.mode, true));
+
+$('loadChildren')?.addEventListener('click', async () => {
+  const tab = await getActiveTab();
+  if (!tab?.id) return;
+  log('아이 목록 요청...');
+  chrome.runtime.sendMessage({ kind: 'LIST_CHILDREN', tabId: tab.id }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    if (!res?.ok) {
+      log('아이 목록 실패: ' + (res?.error || 'unknown') + ' (먼저 준비/연결을 눌러주세요)');
+      return;
+    }
+    const prev = new Set(getSelectedChildren().map((c) => c.id));
+    childList = res.children || [];
+    // Tick everyone by default on first load.
+    renderChildList(prev.size ? [...prev] : childList.map((c) => c.id));
+    persistOptions();
+    log(`아이 ${childList.length}명 불러옴`);
+  });
+});
+
+const SYNC_STATE_LABELS = {
+  ok: '✅ 완료',
+  partial: '⚠️ 일부 실패',
+  stopped: '⏹ 중단됨',
+  paused: '⏸ 일시정지',
+  busy: '⏭ 다른 다운로드 중이라 건너뜀',
+  login: '🔒 로그인 필요',
+  error: '❌ 실패',
+};
+
+function renderSchedule(res) {
+  const el = $('scheduleStatus');
+  if (!el) return;
+  el.textContent = '';
+  if (res?.status?.state === 'login') {
+    const warn = document.createElement('b');
+    warn.style.color = '#b45309';
+    warn.textContent = '🔒 로그인 필요: 키즈노트에 다시 로그인해야 자동 동기화가 동작합니다.';
+    el.append(warn, document.createElement('br'));
+  }
+  const lines = [];
+  if (res?.next) lines.push('다음 실행: ' + new Date(res.next).toLocaleString());
+  if (res?.status) {
+    const label = SYNC_STATE_LABELS[res.status.state] || res.status.state;
+    const when = res.status.ts ? new Date(res.status.ts).toLocaleString() : '';
+    lines.push(`마지막 자동 실행: ${when} ${label}${res.status.message ? ' - ' + res.status.message : ''}`);
+  }
+  el.append(lines.join('\n'));
+}
+
+function initSchedule() {
+  chrome.runtime.sendMessage({ kind: 'GET_SCHEDULE' }, (res) => {
+    if (chrome.runtime.lastError || !res?.ok) return;
+    if ($('optSchedule')) $('optSchedule').checked = !!res.schedule?.enabled;
+    if ($('scheduleHour') && Number.isFinite(res.schedule?.hour)) $('scheduleHour').value = res.schedule.hour;
+    renderSchedule(res);
+  });
+}
+
+function saveSchedule() {
+  const hour = Math.min(23, Math.max(0, parseInt($('scheduleHour')?.value, 10) || 0));
+  if ($('scheduleHour')) $('scheduleHour').value = hour;
+  const enabled = !!$('optSchedule')?.checked;
+  chrome.runtime.sendMessage({ kind: 'SET_SCHEDULE', enabled, hour }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    log(enabled ? `자동 동기화 켜짐: 매일 ${hour}시` : '자동 동기화 꺼짐');
+    initSchedule();
+  });
+}
+
+initSchedule();
+$('optSchedule')?.addEventListener('change', saveSchedule);
+$('scheduleHour')?.addEventListener('change', saveSchedule);
+
+$('clearLedger')?.addEventListener('click', () => {
+  if (!confirm('받은 기록을 초기화할까요? 다음 동기화 실행은 전체를 다시 받습니다.')) return;
+  chrome.runtime.sendMessage({ kind: 'CLEAR_LEDGER' }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    if (!res?.ok) {
+      log(res?.error === 'ALREADY_RUNNING' ? '다운로드 중에는 기록을 초기화할 수 없습니다.' : '기록 초기화 실패');
+      return;
+    }
+    log('받은 기록 초기화됨');
+  });
+});
+
 $('scanAlbum').addEventListener('click', async () => {
   const tab = await getActiveTab();
   const filters = getFilters();
@@ -195,43 +583,102 @@ $('scanReport').addEventListener('click', async () => {
   });
 });
 
-function validateYm(ym) {
-  if (!ym) return true;
-  return /^20\d{2}-\d{2}$/.test(ym);
+$('scanNotice')?.addEventListener('click', async () => {
+  const tab = await getActiveTab();
+  const filters = getFilters();
+  if (!tab?.id) return;
+
+  // Always set default root for notice mode when preparing connection.
+  const rootEl = $('root');
+  if (rootEl) {
+    rootEl.value = 'Kidsnote_notice';
+  }
+
+  log('준비/연결(공지사항) 요청...');
+
+  chrome.runtime.sendMessage({ kind: 'ENSURE_NOTICE_PAGE', tabId: tab.id, filters }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    if (!res?.ok) {
+      log('실패: ' + (res?.error || 'unknown'));
+      return;
+    }
+    log(res?.message || '준비 완료');
+  });
+});
+
+function validateDate(v) {
+  if (!v) return true;
+  return /^20\d{2}-\d{2}(-\d{2})?$/.test(v);
 }
 
 function validateRangeOrAlert(filters) {
   // Clear any previous inline alert
   showAlert('');
 
-  if (!validateYm(filters.fromYm) || !validateYm(filters.toYm)) {
-    const msg = '기간 형식 오류: YYYY-MM 형식만 가능 (예: 2024-10)';
+  if (!validateDate(filters.from) || !validateDate(filters.to)) {
+    const msg = '기간 형식 오류: YYYY-MM 또는 YYYY-MM-DD 형식만 가능 (예: 2024-10, 2024-10-05)';
     showAlert(msg);
     log(msg);
-    setBadge('❌ ' + msg, '');
+    setBadge({ phase: 'error' });
     return { ok: false };
   }
-  if (filters.fromYm && filters.toYm && filters.fromYm > filters.toYm) {
+  // Compare at day precision: a month bound covers the whole month.
+  const fromDay = filters.from.length === 7 ? `${filters.from}-01` : filters.from;
+  const toDay = filters.to.length === 7 ? `${filters.to}-31` : filters.to;
+  if (fromDay && toDay && fromDay > toDay) {
     const msg = '기간 형식 오류: from이 to보다 클 수 없음';
     showAlert(msg);
     log(msg);
-    setBadge('❌ ' + msg, '');
+    setBadge({ phase: 'error' });
     return { ok: false };
   }
   return { ok: true };
 }
 
 async function startDownload(kind) {
+  const isPreview = kind.startsWith('PREVIEW_');
   const tab = await getActiveTab();
   const root = $('root').value.trim() || 'Kidsnote';
   const filters = getFilters();
+  const options = getOptions();
   if (!tab?.id) return;
   if (!validateRangeOrAlert(filters).ok) return;
 
-  const rangeText = (filters.fromYm || filters.toYm) ? `${filters.fromYm || '...'} ~ ${filters.toYm || '...'}` : '전체';
-  log(`다운로드 시작 요청(${kind})... (root=${root}, 기간=${rangeText})`);
-
-  chrome.runtime.sendMessage({ kind, tabId: tab.id, root, filters }, (res) => {
+  const rangeText = DATE_PRESET_LABELS[filters.preset]
+    || ((filters.from || filters.to) ? `${filters.from || '...'} ~ ${filters.to || '...'}` : '전체');
+  const syncText = `${options.sync ? ', 동기화' : ''}, 동시=${options.parallel}`;
+  if (options.allChildren && !options.children.length) {
+    const msg = '여러 아이 모드: 아이 목록을 불러와 한 명 이상 선택하세요.';
+    showAlert(msg);
+    log(msg);
+    return;
+  }
+  if (!Object.values(options.types).some(Boolean)) {
+    const msg = '받을 항목: 본문/사진/동영상/첨부파일 중 하나 이상 선택하세요.';
+    showAlert(msg);
+    log(msg);
+    return;
+  }
+  if (options.pick) {
+    const mode = kind.split('_').pop().toLowerCase();
+    if (options.pick.mode !== mode || !options.pick.ids.length) {
+      const msg = `선택한 글만 받기: ${PICKER_MODE_LABELS[mode]} 목록을 불러와 한 개 이상 선택하세요.`;
+      showAlert(msg);
+      log(msg);
+      return;
+    }
+  }
+  const childText = options.children.length ? `, 아이=${options.children.map((c) => c.name || c.id).join('/')}` : '';
+  const pickText = options.pick ? `, 선택=${options.pick.ids.length}개` : '';
+  const filterText = [filters.keyword, filters.author, filters.className].some(Boolean)
+    ? `, 필터=${[filters.keyword, filters.author, filters.className].filter(Boolean).join('/')}`
+    : '';
+  log(`${isPreview ? '미리보기' : '다운로드'} 시작 요청(${kind})... (root=${root}, 기간=${rangeText}${syncText}${childText}${pickText}${filterText})`);
+
+  chrome.runtime.sendMessage({ kind, tabId: tab.id, root, filters, options }, (res) => {
     if (chrome.runtime.lastError) {
       log('에러: ' + chrome.runtime.lastError.message);
       return;
@@ -245,12 +692,187 @@ async function startDownload(kind) {
       }
       return;
     }
-    log('다운로드 워커 시작됨');
+    log(isPreview ? '미리보기 시작됨 (다운로드 없음)' : '다운로드 워커 시작됨');
   });
 }
 
+$('previewAlbum')?.addEventListener('click', () => startDownload('PREVIEW_ALBUM'));
+$('previewReport')?.addEventListener('click', () => startDownload('PREVIEW_REPORT'));
+$('previewNotice')?.addEventListener('click', () => startDownload('PREVIEW_NOTICE'));
 $('downloadAlbum').addEventListener('click', () => startDownload('START_DOWNLOAD_ALBUM'));
 $('downloadReport').addEventListener('click', () => startDownload('START_DOWNLOAD_REPORT'));
+$('downloadNotice')?.addEventListener('click', () => startDownload('START_DOWNLOAD_NOTICE'));
+
+function renderRetryFailed(failed) {
+  const btn = $('retryFailed');
+  if (!btn) return;
+  const count = Object.values(failed || {}).reduce((n, entry) => n + (entry?.items?.length || 0), 0);
+  btn.disabled = !count;
+  btn.textContent = count ? `실패 항목 다시 받기 (${count})` : '실패 항목 다시 받기';
+  const unlisted = Object.values(failed || {}).reduce((n, entry) => n + (entry?.unlisted || 0), 0);
+  btn.title = unlisted ? `목록에 없는 실패 ${unlisted}건은 다시 받기에서 빠집니다 (동기화로 다시 받기)` : '';
+}
+
+chrome.storage.local.get(['failedDownloads']).then((o) => renderRetryFailed(o.failedDownloads));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.failedDownloads) renderRetryFailed(changes.failedDownloads.newValue);
+});
+
+$('retryFailed')?.addEventListener('click', async () => {
+  // The tab is only needed for failed comments, which go through the board page like a normal run.
+  const tab = await getActiveTab();
+  log('실패 항목 재시도 요청...');
+  chrome.runtime.sendMessage({ kind: 'RETRY_FAILED', tabId: tab?.id }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    if (!res?.ok) {
+      log(res?.error === 'ALREADY_RUNNING' ? '이미 다운로드가 진행 중입니다. 완료 또는 정지 후 다시 시도하세요.' : '재시도 실패: ' + (res?.error || 'unknown'));
+      return;
+    }
+    log('실패 항목 재시도 시작됨');
+  });
+});
+
+// Run history (kept by the SW in local storage, newest first).
+function renderHistory(history) {
+  const el = $('historyList');
+  if (!el) return;
+  el.textContent = '';
+  const runs = Array.isArray(history) ? history : [];
+  if (!runs.length) {
+    el.textContent = '(실행 기록 없음)';
+    return;
+  }
+  for (const h of runs) {
+    const c = h.counts || {};
+    const row = document.createElement('div');
+    row.className = 'historyRow';
+    if (h.lastError) row.title = `마지막 오류: ${h.lastError}`;
+
+    const head = document.createElement('div');
+    const trigger = h.trigger === 'schedule' ? ' (자동)' : '';
+    head.textContent = `${new Date(h.startTs).toLocaleString()} · ${PICKER_MODE_LABELS[h.mode] || h.mode}${trigger} · ${SYNC_STATE_LABELS[h.status] || h.status}`;
+
+    const counts = document.createElement('div');
+    counts.textContent = [
+      `글 ${c.items || 0}`,
+      c.upToDate ? `이미 받음 ${c.upToDate}` : '',
+      `사진 ${c.photos || 0}`,
+      `동영상 ${c.videos || 0}`,
+      c.files ? `파일 ${c.files}` : '',
+      fmtBytes(c.bytes),
+      h.errors ? `실패 ${h.errors}건` : '',
+    ].filter(Boolean).join(' · ');
+
+    const meta = document.createElement('small');
+    const children = h.children?.length ? ` · 아이=${h.children.join(', ')}` : '';
+    meta.textContent = `root=${h.root} · 기간=${h.range}${children} · ${fmtDuration(h.endTs - h.startTs)}`;
+
+    row.append(head, counts, meta);
+    el.append(row);
+  }
+}
+
+chrome.storage.local.get(['runHistory']).then((o) => renderHistory(o.runHistory));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.runHistory) renderHistory(changes.runHistory.newValue);
+});
+
+$('exportHistory')?.addEventListener('click', async () => {
+  const { runHistory } = await chrome.storage.local.get(['runHistory']);
+  if (!Array.isArray(runHistory) || !runHistory.length) {
+    log('내보낼 실행 기록이 없습니다.');
+    return;
+  }
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const url = URL.createObjectURL(new Blob([JSON.stringify(runHistory, null, 2)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `kidsnote-run-history-${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+  log(`실행 기록 ${runHistory.length}건 내보내기`);
+});
+
+$('clearHistory')?.addEventListener('click', () => {
+  if (!confirm('실행 기록을 모두 지울까요?')) return;
+  chrome.runtime.sendMessage({ kind: 'CLEAR_RUN_HISTORY' }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    log(res?.ok ? '실행 기록 지움' : '실행 기록 지우기 실패');
+  });
+});
+
+// Paused jobs are kept per board (pausedJob:<mode>); the button continues the most recently paused one.
+let resumeMode = '';
+
+function renderResume(jobs) {
+  const btn = $('resume');
+  if (!btn) return;
+  const [job, ...others] = jobs;
+  resumeMode = job?.mode || '';
+  btn.disabled = !job;
+  btn.textContent = job ? `이어받기(${PICKER_MODE_LABELS[job.mode] || job.label})` : '이어받기';
+  btn.title = job
+    ? `${new Date(job.pausedAt).toLocaleString()}에 ${job.interrupted ? '중간에 멈춘' : '일시정지한'} 다운로드를 멈춘 곳부터 계속합니다 (root=${job.root})`
+    : '일시정지한 다운로드를 멈춘 곳부터 계속합니다 (팝업이나 브라우저를 닫았다 열어도 가능)';
+  if (others.length) btn.title += `\n그다음: ${others.map((j) => PICKER_MODE_LABELS[j.mode] || j.label).join(', ')}`;
+}
+
+function loadResume() {
+  chrome.storage.local.get(null).then((all) => {
+    const jobs = Object.entries(all)
+      .filter(([key, job]) => key.startsWith('pausedJob:') && job?.mode)
+      .map(([, job]) => job)
+      .sort((a, b) => (b.pausedAt || 0) - (a.pausedAt || 0));
+    renderResume(jobs);
+  });
+}
+
+loadResume();
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && Object.keys(changes).some((key) => key.startsWith('pausedJob:'))) loadResume();
+});
+
+$('pause')?.addEventListener('click', async () => {
+  log('일시정지 요청...');
+  chrome.runtime.sendMessage({ kind: 'PAUSE_DOWNLOAD' }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    if (!res?.ok) {
+      log(res?.error === 'NOT_RUNNING' ? '일시정지할 다운로드가 없습니다. (미리보기/재시도는 정지만 가능)' : '일시정지 실패: ' + (res?.error || 'unknown'));
+      return;
+    }
+    log('일시정지 플래그 설정됨(현재 진행 중인 파일 이후 멈춤)');
+  });
+});
+
+$('resume')?.addEventListener('click', async () => {
+  // The worker moves this tab to the paused board's page before continuing.
+  const tab = await getActiveTab();
+  log('이어받기 요청...');
+  chrome.runtime.sendMessage({ kind: 'RESUME_DOWNLOAD', tabId: tab?.id, mode: resumeMode || undefined }, (res) => {
+    if (chrome.runtime.lastError) {
+      log('에러: ' + chrome.runtime.lastError.message);
+      return;
+    }
+    if (!res?.ok) {
+      const err = res?.error || 'unknown';
+      if (err === 'ALREADY_RUNNING') log('이미 다운로드가 진행 중입니다. 완료 또는 정지 후 다시 시도하세요.');
+      else if (err === 'NO_PAUSED_JOB') log('일시정지한 다운로드가 없습니다.');
+      else log('이어받기 실패: ' + err);
+      return;
+    }
+    log('이어받기 시작됨');
+  });
+});
 
 $('stop').addEventListener('click', async () => {
   log('정지 요청...');
@@ -265,15 +887,18 @@ $('stop').addEventListener('click', async () => {
 
 // Live progress via storage (session by default so it resets after full browser restart)
 if (statusStorage) {
-  statusStorage.get(['progressText','finalReport']).then((o) => {
+  statusStorage.get(['progressText', 'finalReport', 'progress']).then((o) => {
     statusState.progressText = o.progressText || '';
     statusState.finalReport = o.finalReport || '';
+    statusState.progress = o.progress || null;
     renderStatus(statusState.progressText, statusState.finalReport);
-    setBadge(statusState.progressText, statusState.finalReport);
+    renderProgressBar(statusState.progress);
+    setBadge(statusState.progress);
   });
 } else {
   renderStatus('', '');
-  setBadge('', '');
+  renderProgressBar(null);
+  setBadge(null);
 }
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area !== STATUS_STORAGE_AREA) return;
@@ -283,6 +908,10 @@ chrome.storage.onChanged.addListener((changes, area) => {
   if (changes.finalReport) {
     statusState.finalReport = changes.finalReport.newValue || '';
   }
+  if (changes.progress) {
+    statusState.progress = changes.progress.newValue || null;
+    renderProgressBar(statusState.progress);
+    setBadge(statusState.progress);
+  }
   renderStatus(statusState.progressText, statusState.finalReport);
-  setBadge(statusState.progressText, statusState.finalReport);
 });
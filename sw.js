@@ -1,8 +1,16 @@
 // MV3 service worker
 
+import { renderIndexPage, renderItemPage } from './lib/archive_html.js';
+import { CONTENT_TYPES, contentType, contentTypeFromKind } from './lib/content_types.js';
+import { writeJpegExif } from './lib/exif.js';
+
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 let stopRequested = false;
+// Set together with stopRequested by PAUSE_DOWNLOAD: the run stops the same way but saves where it was.
+let pauseRequested = false;
+// Run context of the download loop in progress (null otherwise); only such a run can be paused.
+let activeRun = null;
 let downloadRunning = false;
 let progressTextMemory = '';
 let finalReportMemory = '';
@@ -36,8 +44,17 @@ async function setSessionStored(key, value) {
   await chrome.storage.session.set({ [key]: value });
 }
 
+// Extension API calls reset the worker's idle timer; a cheap one every 20s keeps Chrome from shutting the worker
+// down while a job waits on a long download or a slow page.
+const KEEPALIVE_MS = 20000;
+let keepAliveTimer = null;
+
 async function setDownloadRunning(value) {
   downloadRunning = !!value;
+  clearInterval(keepAliveTimer);
+  keepAliveTimer = downloadRunning
+    ? setInterval(() => void chrome.runtime.getPlatformInfo().catch(() => {}), KEEPALIVE_MS)
+    : null;
   if (chrome.storage?.session) {
     await setSessionStored('downloadRunning', downloadRunning);
     return;
@@ -64,6 +81,70 @@ async function setFinalReport(text) {
   await setSessionStored('finalReport', finalReportMemory);
 }
 
+// Structured progress, kept next to the free-form text: the popup draws its bar and badge from this, and the
+// toolbar icon shows the percentage while the popup is closed.
+// { phase, mode, label, child: { index, count, name }, item: { id, date, title }, items: { done, total },
+//   media: { done, total }, bytes, startTs, elapsedMs, etaMs, percent, error, updatedAt }
+// `items.total` / `percent` are null when the end isn't known up front (date range start, picked items, preview).
+const RUNNING_PHASES = new Set(['starting', 'scanning', 'downloading', 'writing', 'retrying']);
+let progressState = null;
+let actionBadgeText = null;
+
+function progressFraction(s) {
+  if (!s.items.total) return null;
+  const mediaPart = s.media.total ? s.media.done / s.media.total : 0;
+  const within = Math.min(1, (s.items.done + mediaPart) / s.items.total);
+  const child = s.child?.count > 1 ? s.child : { index: 0, count: 1 };
+  return Math.min(1, (child.index + within) / child.count);
+}
+
+async function updateProgress(patch) {
+  if (!progressState) return;
+  const s = Object.assign(progressState, patch);
+  const now = Date.now();
+  s.elapsedMs = now - s.startTs;
+  if (RUNNING_PHASES.has(s.phase)) {
+    const f = progressFraction(s);
+    s.percent = f == null ? null : Math.floor(f * 100);
+    // Average pace so far; too noisy to show before the first couple of percent.
+    s.etaMs = f != null && f >= 0.02 && f < 1 ? Math.round(s.elapsedMs * (1 - f) / f) : null;
+  } else {
+    if (s.phase === 'done' || s.phase === 'partial') s.percent = 100;
+    s.etaMs = null;
+  }
+  s.updatedAt = now;
+  await setSessionStored('progress', s);
+  await updateActionBadge(s);
+}
+
+async function beginProgress(phase, type, startTs) {
+  progressState = {
+    phase, mode: type?.mode || '', label: type?.label || '', child: null, item: null,
+    items: { done: 0, total: null }, media: { done: 0, total: 0 }, bytes: 0,
+    startTs, elapsedMs: 0, etaMs: null, percent: null, error: '', updatedAt: startTs,
+  };
+  await updateProgress({});
+}
+
+async function endProgress(phase, error = '') {
+  // Only a running job can end; a failure before the job started leaves the previous run's state alone.
+  if (!progressState || !RUNNING_PHASES.has(progressState.phase)) return;
+  await updateProgress({ phase, error, item: null });
+}
+
+async function updateActionBadge(s) {
+  // '…' while the total is unknown; back to the sync status badge ('!' or nothing) once the run ends.
+  const text = RUNNING_PHASES.has(s.phase) ? (s.percent == null ? '…' : `${s.percent}%`) : '';
+  if (text === actionBadgeText) return;
+  actionBadgeText = text;
+  if (!text) {
+    await showSyncBadge();
+    return;
+  }
+  await chrome.action.setBadgeBackgroundColor({ color: '#4d2fb2' });
+  await chrome.action.setBadgeText({ text });
+}
+
 function makeDataUrl(mime, text) {
   // Avoid Blob/ObjectURL (not available in MV3 service worker in some builds).
   // Use a data: URL instead.
@@ -71,39 +152,186 @@ function makeDataUrl(mime, text) {
   return `data:${mime};charset=utf-8,${enc}`;
 }
 
+function fmtBytes(n) {
+  if (!n) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+  return `${(n / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+// chrome.downloads.download() resolves once the download is queued; waiters here resolve on its final state.
+const pendingDownloads = new Map();
+const DOWNLOAD_POLL_MS = 15000;
+// A download that hasn't received a byte for this long is given up on (and retried), so a stalled CDN connection
+// can't keep the run - and STOP or pause, which wait for the file in flight - hanging forever.
+const DOWNLOAD_STALL_MS = 2 * 60 * 1000;
+
+async function settleDownload(id) {
+  const waiter = pendingDownloads.get(id);
+  if (!waiter) return;
+  const [item] = await chrome.downloads.search({ id }).catch(() => []);
+  if (!item) {
+    pendingDownloads.delete(id);
+    clearInterval(waiter.timer);
+    waiter.resolve({ id, state: 'interrupted', error: 'DOWNLOAD_NOT_FOUND', bytes: 0 });
+    return;
+  }
+  if (item.state === 'in_progress') {
+    const bytes = item.bytesReceived || 0;
+    if (bytes !== waiter.bytes) {
+      waiter.bytes = bytes;
+      waiter.progressAt = Date.now();
+      return;
+    }
+    if (Date.now() - waiter.progressAt < DOWNLOAD_STALL_MS) return;
+    pendingDownloads.delete(id);
+    clearInterval(waiter.timer);
+    waiter.resolve({ id, state: 'interrupted', error: 'DOWNLOAD_STALLED', bytes });
+    return;
+  }
+  pendingDownloads.delete(id);
+  clearInterval(waiter.timer);
+  waiter.resolve({ id, state: item.state, error: item.error || '', bytes: item.bytesReceived || item.fileSize || 0 });
+}
+
+chrome.downloads.onChanged.addListener((delta) => {
+  if (!pendingDownloads.has(delta.id)) return;
+  if (!delta.state?.current || delta.state.current === 'in_progress') return;
+  void settleDownload(delta.id);
+});
+
+function waitForDownload(id) {
+  return new Promise((resolve) => {
+    // Poll as a safety net in case an onChanged event is missed.
+    const timer = setInterval(() => void settleDownload(id), DOWNLOAD_POLL_MS);
+    pendingDownloads.set(id, { resolve, timer, bytes: 0, progressAt: Date.now() });
+    // It may already be finished (small files, data: URLs) before we started listening.
+    void settleDownload(id);
+  });
+}
+
+async function startAndTrackDownload(options) {
+  const id = await chrome.downloads.download(options);
+  const result = await waitForDownload(id);
+  if (result.state !== 'complete') {
+    // Drop the partial file so a retry doesn't end up uniquified next to it.
+    await chrome.downloads.cancel(id).catch(() => {});
+    await chrome.downloads.erase({ id }).catch(() => {});
+    throw new Error(`DOWNLOAD_INTERRUPTED:${result.error || result.state}`);
+  }
+  return result;
+}
+
 async function downloadTextFile(filename, text) {
+  if (activeZip) return zipAddText(filename, text);
   const url = makeDataUrl('text/plain', text ?? '');
-  return chrome.downloads.download({ url, filename, conflictAction: 'uniquify', saveAs: false });
+  return startAndTrackDownload({ url, filename, conflictAction: 'uniquify', saveAs: false });
+}
+
+async function downloadDocFile(filename, mime, body) {
+  // Generated docs (index.html, meta.json) are rewritten on later runs, so replace instead of uniquifying.
+  if (activeZip) return zipAddText(filename, body);
+  const url = makeDataUrl(mime, body ?? '');
+  return startAndTrackDownload({ url, filename, conflictAction: 'overwrite', saveAs: false });
+}
+
+const RETRY_MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+
+function isRetryableError(msg) {
+  // Filename and URL policy errors won't fix themselves; anything else may be a transient network/CDN hiccup.
+  if (/Invalid filename|INVALID_DOWNLOAD_URL|UNSAFE_URL_SCHEME|UNALLOWED_DOWNLOAD_HOST|DISALLOWED_FETCH_URL/i.test(msg)) return false;
+  // Disk problems, user cancels and expired/forbidden CDN links won't recover by retrying the same URL.
+  if (/DOWNLOAD_INTERRUPTED:(FILE_|USER_|SERVER_FORBIDDEN|SERVER_UNAUTHORIZED|SERVER_BAD_CONTENT)/.test(msg)) return false;
+  if (/HTTP_40[134]\b/.test(msg)) return false;
+  return true;
+}
+
+function isFilenameError(msg) {
+  return /Invalid filename|DOWNLOAD_INTERRUPTED:FILE_NAME_TOO_LONG/i.test(msg);
+}
+
+async function withRetry(fn, onRetry) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      const msg = String(e?.message || e);
+      if (attempt >= RETRY_MAX_ATTEMPTS || stopRequested || !isRetryableError(msg)) throw e;
+      // Exponential backoff with a little jitter: ~1s, 2s, 4s.
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+      if (onRetry) await onRetry(attempt, msg, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// Entries kept per run for errors.csv and the popup's "retry failed" button (bodies of generated docs included).
+// Failures past the cap, or from before a checkpoint a run was picked up from, are still counted; the report and
+// errors.csv say how many of them the list is missing.
+const MAX_FAILED_ENTRIES = 500;
+
+function recordFailure(counters, label, filename, error, detail = {}) {
+  // Failed files are skipped so one bad photo doesn't end a multi-year run.
+  counters.errors++;
+  counters.lastError = `${label} / ${filename}: ${error}`;
+  // detail: { kind, itemId, url, fallback, exif, mime, body } - whatever it takes to redo just this file.
+  if (counters.failures && counters.failures.length < MAX_FAILED_ENTRIES) {
+    counters.failures.push({ kind: 'file', itemId: null, url: '', label, filename, ...detail, error, at: Date.now() });
+  }
 }
 
 async function safeDownload(opName, context, fn, retryFn) {
+  const ctx = context ? `\n${context}` : '';
+  const onRetry = (attempt, msg, delay) =>
+    setProgress(`⚠️ ${opName} 재시도 ${attempt}/${RETRY_MAX_ATTEMPTS - 1} (${Math.round(delay / 1000)}초 후): ${msg}${ctx}`);
   try {
-    return { ok: true, value: await fn() };
+    return { ok: true, value: await withRetry(fn, onRetry) };
   } catch (e) {
     const msg = String(e?.message || e);
-    const ctx = context ? `\n${context}` : '';
 
-    // Retry once with a fallback filename if it's an Invalid filename error.
-    if (retryFn && /Invalid filename/i.test(msg)) {
+    // Retry with a fallback filename if it's an Invalid filename error.
+    if (retryFn && isFilenameError(msg)) {
       try {
         await setProgress(`⚠️ ${opName} 파일명 문제로 재시도 중…${ctx}`);
-        const v = await retryFn();
+        const v = await withRetry(retryFn, onRetry);
         return { ok: true, value: v, retried: true };
       } catch (e2) {
         const msg2 = String(e2?.message || e2);
-        await setProgress(`❌ ${opName} 실패: ${msg2}${ctx}`);
+        await setProgress(`❌ ${opName} 실패(건너뜀): ${msg2}${ctx}`);
         return { ok: false, error: msg2 };
       }
     }
 
-    await setProgress(`❌ ${opName} 실패: ${msg}${ctx}`);
+    await setProgress(`❌ ${opName} 실패(건너뜀): ${msg}${ctx}`);
     return { ok: false, error: msg };
   }
 }
 
 async function downloadUrl(filename, url) {
   assertAllowedDownloadUrl(url);
-  return chrome.downloads.download({ url, filename, conflictAction: 'uniquify', saveAs: false });
+  return startAndTrackDownload({ url, filename, conflictAction: 'uniquify', saveAs: false });
+}
+
+function bytesToBase64(bytes) {
+  let bin = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(bin);
+}
+
+async function downloadPhotoWithExif(filename, url, exif) {
+  // EXIF has to be written into the bytes, so fetch here instead of handing the URL to Chrome.
+  assertAllowedDownloadUrl(url);
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`HTTP_${r.status}`);
+  const original = new Uint8Array(await r.arrayBuffer());
+  const bytes = writeJpegExif(original, exif) || original; // not a JPEG we can parse: save as fetched
+  const mime = r.headers.get('content-type') || 'image/jpeg';
+  const dataUrl = `data:${mime};base64,${bytesToBase64(bytes)}`;
+  return startAndTrackDownload({ url: dataUrl, filename, conflictAction: 'uniquify', saveAs: false });
 }
 
 function hostMatchesSuffix(hostname, suffix) {
@@ -127,279 +355,641 @@ function assertAllowedDownloadUrl(rawUrl) {
   }
 }
 
-async function getAlbumApiInfo(tabId) {
-  const res = await chrome.tabs.sendMessage(tabId, { kind: 'GET_ALBUM_API_INFO' });
-  if (!res?.ok || !res.info?.baseUrl) throw new Error('CANT_DETECT_ALBUM_API');
-  return res.info; // {childId, baseUrl, sampleUrl, defaultQuery}
+// ZIP output: while a ZIP is open, text/doc/media writes become entries in it instead of separate downloads.
+// The archive itself is built in the offscreen document (blob: URLs aren't available in the SW) and saved
+// with a single chrome.downloads call when it's closed.
+const ZIP_MODE_LABELS = { album: '글마다', month: '월별', run: '한 번에' };
+let activeZip = null;
+let zipSeq = 0;
+
+async function ensureOffscreenDocument() {
+  const existing = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (existing.length) return;
+  await chrome.offscreen.createDocument({
+    url: 'offscreen.html',
+    reasons: ['BLOBS'],
+    justification: 'Build ZIP archives of the downloaded albums/reports.',
+  });
 }
 
-async function fetchAlbumsJsonViaTab(tabId, url) {
-  const res = await chrome.tabs.sendMessage(tabId, { kind: 'FETCH_ALBUMS_PAGE', url });
-  if (!res?.ok) throw new Error(res?.status ? `HTTP_${res.status}` : (res?.error || 'FETCH_FAILED'));
-  return res.json;
+async function offscreenCall(kind, payload) {
+  const res = await chrome.runtime.sendMessage({ target: 'offscreen', kind, ...payload });
+  if (!res?.ok) throw new Error(res?.error || 'OFFSCREEN_NO_RESPONSE');
+  return res;
 }
 
-async function getReportApiInfo(tabId) {
-  const res = await chrome.tabs.sendMessage(tabId, { kind: 'GET_REPORT_API_INFO' });
-  if (!res?.ok || !res.info?.baseUrl) throw new Error('CANT_DETECT_REPORT_API');
-  return res.info; // {childId, baseUrl, sampleUrl, defaultQuery}
+function zipStamp(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${localDateString(d).replace(/-/g, '')}-${pad(d.getHours())}${pad(d.getMinutes())}`;
 }
 
-async function fetchReportsJsonViaTab(tabId, url) {
-  const res = await chrome.tabs.sendMessage(tabId, { kind: 'FETCH_REPORTS_PAGE', url });
-  if (!res?.ok) throw new Error(res?.status ? `HTTP_${res.status}` : (res?.error || 'FETCH_FAILED'));
-  return res.json;
+async function openZip(filename, baseDir) {
+  // Entry paths are relative to baseDir, so extracting next to the ZIP recreates the normal folder layout.
+  await ensureOffscreenDocument();
+  const zipId = `zip-${Date.now()}-${++zipSeq}`;
+  await offscreenCall('ZIP_OPEN', { zipId });
+  // A ZIP only reaches disk when it's closed, so the job checkpoint stays where it was opened until then.
+  // `paths` holds names taken by adds in flight or done; `stored` counts the entries actually in the archive.
+  activeZip = { zipId, filename, baseDir, created: '', paths: new Set(), stored: 0, checkpoint: activeRun ? jobSnapshot(activeRun, { failures: false }) : null };
 }
 
-function pickBestVideoUrl(v) {
-  return v?.high || v?.low || null;
+function zipEntryPath(filename) {
+  const prefix = `${activeZip.baseDir}/`;
+  let path = filename.startsWith(prefix) ? filename.slice(prefix.length) : filename;
+  // Same as conflictAction 'uniquify': "name (1).ext".
+  const m = path.match(/^(.*?)(\.[^./]*)?$/);
+  for (let n = 1; activeZip.paths.has(path); n++) path = `${m[1]} (${n})${m[2] || ''}`;
+  activeZip.paths.add(path);
+  return path;
 }
 
-function pickBestImageUrl(img) {
-  // Prefer original over resized.
-  return img?.original || img?.large || img?.large_resize || img?.small || img?.small_resize || null;
+async function zipAdd(kind, filename, payload) {
+  // The name is reserved up front so parallel adds don't pick the same one, and freed again if the add fails,
+  // so a retry gets "001.jpg" rather than "001 (1).jpg".
+  const zip = activeZip;
+  const path = zipEntryPath(filename);
+  try {
+    const res = await offscreenCall(kind, { zipId: zip.zipId, path, created: zip.created, ...payload });
+    zip.stored++;
+    return { state: 'complete', bytes: res.bytes };
+  } catch (e) {
+    zip.paths.delete(path);
+    throw e;
+  }
 }
 
-function ymInRange(ym, fromYm, toYm) {
-  if (!ym) return false;
-  const okFmt = /^20\d{2}-\d{2}$/.test(ym);
-  if (!okFmt) return true; // don't block on weird input
-  if (fromYm && /^20\d{2}-\d{2}$/.test(fromYm) && ym < fromYm) return false;
-  if (toYm && /^20\d{2}-\d{2}$/.test(toYm) && ym > toYm) return false;
-  return true;
+function zipAddText(filename, text) {
+  return zipAdd('ZIP_ADD_TEXT', filename, { text: text ?? '' });
 }
 
-function buildPagedApiUrl(baseUrl, defaultQuery, opts) {
-  const url = new URL(baseUrl);
-  const defaults = defaultQuery && typeof defaultQuery === 'object' ? defaultQuery : {};
-  for (const [k, v] of Object.entries(defaults)) {
-    if (v == null || v === '') continue;
-    url.searchParams.set(k, String(v));
+async function zipAddUrl(filename, url, exif) {
+  assertAllowedDownloadUrl(url);
+  return zipAdd('ZIP_ADD_URL', filename, { url, exif: exif || null });
+}
+
+async function closeZip(counters, ledger) {
+  // Returns false when the ZIP couldn't be saved. Ledger marks are only persisted once the ZIP is on disk.
+  const zip = activeZip;
+  if (!zip) return true;
+  activeZip = null;
+  try {
+    if (!zip.stored) {
+      await saveLedger(ledger);
+      return true;
+    }
+    await setProgress(`ZIP 저장 중… ${zip.filename} (${zip.stored}개 파일)`);
+    const r = await safeDownload('ZIP 저장', `파일: ${zip.filename}`, async () => {
+      const res = await offscreenCall('ZIP_FINISH', { zipId: zip.zipId });
+      return startAndTrackDownload({ url: res.url, filename: zip.filename, conflictAction: 'uniquify', saveAs: false });
+    });
+    if (!r.ok) {
+      recordFailure(counters, zip.filename, zip.filename, r.error, { kind: 'zip' });
+      // Nothing in this ZIP reached the disk; drop its marks so the next sync fetches those items again.
+      if (ledger) Object.assign(ledger, await loadLedger(ledger.mode, ledger.skipKnown));
+      return false;
+    }
+    counters.zipsSaved = (counters.zipsSaved || 0) + 1;
+    await saveLedger(ledger);
+    return true;
+  } finally {
+    await offscreenCall('ZIP_RELEASE', { zipId: zip.zipId }).catch(() => {});
   }
-  if (opts?.pageToken) url.searchParams.set('page', String(opts.pageToken));
-  url.searchParams.set('page_size', String(opts.pageSize));
-  url.searchParams.set('tz', String(opts.tz));
-  url.searchParams.set('child', String(opts.childId));
-  return url.toString();
 }
 
-async function downloadAlbumFromApi(root, album, index, total, filters, startTs, counters) {
-  if (stopRequested) return { ok: true, skipped: true, stopped: true };
+async function switchZip(filename, baseDir, counters, ledger) {
+  // Month/run ZIPs stay open across items; moving to a new group saves the previous one.
+  if (activeZip?.filename === filename) return;
+  await closeZip(counters, ledger);
+  await openZip(filename, baseDir);
+}
 
-  const created = album.created || '';
-  const date = created.slice(0, 10) || 'unknown-date'; // YYYY-MM-DD
-  const ym = created.slice(0, 7) || '';
-  const fromYm = filters?.fromYm || '';
-  const toYm = filters?.toYm || '';
-  if ((fromYm || toYm) && !ymInRange(ym, fromYm, toYm)) {
-    return { ok: true, skipped: true };
+async function discardZip() {
+  // After a crashed run: free the half-built archive without saving it.
+  if (!activeZip) return;
+  const { zipId } = activeZip;
+  activeZip = null;
+  await offscreenCall('ZIP_RELEASE', { zipId }).catch(() => {});
+}
+
+// Download ledger: remembers which items/media were already saved so sync runs only fetch new ones.
+// Each item is its own storage key (`<ledgerKey>:<itemId>`), so saving after an item writes just the items that
+// changed instead of the whole history. Older versions kept everything in one object under `<ledgerKey>`.
+function mediaKey(url) {
+  // CDN URLs can carry expiring query tokens; identify media by origin + path only, hashed (FNV-1a) to keep
+  // entries small - only files within one item are ever compared.
+  let path;
+  try {
+    const u = new URL(url);
+    path = `${u.origin}${u.pathname}`;
+  } catch {
+    path = String(url || '');
   }
+  let h = 0x811c9dc5;
+  for (let i = 0; i < path.length; i++) h = Math.imul(h ^ path.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36);
+}
 
-  const title = sanitizeSegment(album.title || 'album', 60);
-  const rootSeg = sanitizeSegment(root, 40);
-  // Base dir (human-friendly) + fallback dir (minimal) for Invalid filename errors.
-  // User preference: keep folder names clean (no trailing id) when possible.
-  const dirBase = `${rootSeg}/${date}-${title}`;
-  const dirFallback = `${rootSeg}/${date}-${album.id}`;
+function ledgerItemKey(mode, itemId) {
+  return `${contentType(mode).ledgerKey}:${itemId}`;
+}
 
-  await setProgress(`Idx: ${index + 1} (다운로드: ${counters.albumsDownloaded}, 스킵: ${counters.albumsSkipped || 0})\n경과: ${fmtElapsed(Date.now()-startTs)}\n현재: ${date}-${title} (text)`);
-  counters.albumsDownloaded++;
+async function loadLedger(mode, skipKnown) {
+  const { ledgerKey } = contentType(mode);
+  const all = await chrome.storage.local.get(null);
+  const items = {};
+  const dirty = new Set();
+  const legacy = all[ledgerKey]?.items;
+  if (legacy && typeof legacy === 'object') {
+    for (const [id, entry] of Object.entries(legacy)) {
+      items[id] = { ...entry, media: Array.isArray(entry?.media) ? entry.media.map(mediaKey) : [] };
+      dirty.add(id);
+    }
+  }
+  const prefix = `${ledgerKey}:`;
+  for (const [key, entry] of Object.entries(all)) {
+    if (key.startsWith(prefix)) items[key.slice(prefix.length)] = entry;
+  }
+  return { mode, items, skipKnown: !!skipKnown, dirty, legacy: !!legacy };
+}
 
-  const label = `${date}-${title} (id=${album.id})`;
+async function saveLedger(ledger) {
+  if (!ledger?.dirty.size) return;
+  const changed = {};
+  for (const id of ledger.dirty) changed[ledgerItemKey(ledger.mode, id)] = ledger.items[id];
+  await chrome.storage.local.set(changed);
+  ledger.dirty.clear();
+  if (ledger.legacy) {
+    await chrome.storage.local.remove(contentType(ledger.mode).ledgerKey);
+    ledger.legacy = false;
+  }
+}
 
-  const textRes = await safeDownload(
-    'text 저장',
-    `앨범: ${label}\n파일: text.txt`,
-    () => downloadTextFile(`${dirBase}/text.txt`, album.content || ''),
-    () => downloadTextFile(`${dirFallback}/text.txt`, album.content || '')
+async function clearLedgers() {
+  const all = await chrome.storage.local.get(null);
+  const prefixes = Object.values(CONTENT_TYPES).map((t) => t.ledgerKey);
+  await chrome.storage.local.remove(
+    Object.keys(all).filter((key) => prefixes.some((p) => key === p || key.startsWith(`${p}:`)))
   );
-  if (!textRes.ok) { counters.errors++; return { ok: false, error: textRes.error }; }
-
-  const pad = (n) => String(n).padStart(3, '0');
+}
 
-  const images = (album.attached_images || []).map(pickBestImageUrl).filter(Boolean);
-  for (const [i, url] of images.entries()) {
-    if (stopRequested) break;
-    const ext = (new URL(url)).pathname.split('.').pop() || 'jpg';
-    await setProgress(`Idx: ${index + 1} (다운로드: ${counters.albumsDownloaded}, 스킵: ${counters.albumsSkipped || 0})\n경과: ${fmtElapsed(Date.now()-startTs)}\n현재: ${date}-${title} photo ${i + 1}/${images.length}`);
-    const filenameBase = `${dirBase}/photos/${pad(i + 1)}.${ext}`;
-    const filenameFallback = `${dirFallback}/photos/${pad(i + 1)}.${ext}`;
-    const r = await safeDownload(
-      'photo 다운로드',
-      `앨범: ${label}\n파일: photos/${pad(i + 1)}.${ext}`,
-      () => downloadUrl(filenameBase, url),
-      () => downloadUrl(filenameFallback, url)
-    );
-    if (!r.ok) { counters.errors++; return { ok: false, error: r.error }; }
-    counters.photosDownloaded++;
-    await sleep(80);
-  }
-
-  const videos = (album.attached_videos || []).map(pickBestVideoUrl).filter(Boolean);
-  for (const [i, url] of videos.entries()) {
-    if (stopRequested) break;
-    const ext = (new URL(url)).pathname.split('.').pop() || 'mp4';
-    await setProgress(`Idx: ${index + 1} (다운로드: ${counters.albumsDownloaded}, 스킵: ${counters.albumsSkipped || 0})\n경과: ${fmtElapsed(Date.now()-startTs)}\n현재: ${date}-${title} video ${i + 1}/${videos.length}`);
-    const filenameBase = `${dirBase}/videos/${pad(i + 1)}.${ext}`;
-    const filenameFallback = `${dirFallback}/videos/${pad(i + 1)}.${ext}`;
-    const r = await safeDownload(
-      'video 다운로드',
-      `앨범: ${label}\n파일: videos/${pad(i + 1)}.${ext}`,
-      () => downloadUrl(filenameBase, url),
-      () => downloadUrl(filenameFallback, url)
-    );
-    if (!r.ok) { counters.errors++; return { ok: false, error: r.error }; }
-    counters.videosDownloaded++;
-    await sleep(120);
+function ledgerEntry(ledger, itemId, create = false) {
+  const key = String(itemId);
+  let entry = ledger.items[key];
+  if (!entry && create) {
+    entry = { text: false, media: [], done: 0 };
+    ledger.items[key] = entry;
   }
+  return entry || null;
+}
 
-  await setStored('lastProgress', { index: index + 1, total, albumId: album.id });
-  return { ok: true, dir: dirBase, counts: { images: images.length, videos: videos.length } };
+function ledgerHasText(ledger, itemId) {
+  return !!ledgerEntry(ledger, itemId)?.text;
 }
 
-async function startDownloadAlbums(tabId, root, filters) {
-  stopRequested = false;
-  await setStored('stopRequested', false);
-  await setFinalReport('');
+function ledgerHasMedia(ledger, itemId, url) {
+  const entry = ledgerEntry(ledger, itemId);
+  return !!entry && Array.isArray(entry.media) && entry.media.includes(mediaKey(url));
+}
 
-  const startTs = Date.now();
-  const rangeText = (filters?.fromYm || filters?.toYm)
-    ? `${filters?.fromYm || '...'} ~ ${filters?.toYm || '...'}`
-    : '전체';
-  await setProgress(`시작: root=${sanitizeSegment(root)} / 기간=${rangeText}`);
+function ledgerIsComplete(ledger, itemId, urls, needText = true) {
+  const entry = ledgerEntry(ledger, itemId);
+  if (!entry?.done || (needText && !entry.text)) return false;
+  return urls.every((url) => ledgerHasMedia(ledger, itemId, url));
+}
 
-  const counters = { albumsDownloaded: 0, albumsSkipped: 0, photosDownloaded: 0, videosDownloaded: 0, errors: 0, lastError: '' };
+function ledgerMarkText(ledger, itemId) {
+  ledgerEntry(ledger, itemId, true).text = true;
+  ledger.dirty.add(String(itemId));
+}
 
-  // Stream scan pages and download without storing the full album list (avoids chrome.storage quota).
-  const { childId, baseUrl, defaultQuery } = await getAlbumApiInfo(tabId);
+function ledgerMarkMedia(ledger, itemId, url) {
+  const entry = ledgerEntry(ledger, itemId, true);
+  if (!Array.isArray(entry.media)) entry.media = [];
+  const key = mediaKey(url);
+  if (!entry.media.includes(key)) entry.media.push(key);
+  ledger.dirty.add(String(itemId));
+}
 
-  // Kidsnote API supports larger page_size (tested: 100).
-  const pageSize = 100;
-  const tz = 'Asia/Seoul';
+// Flags for optional per-item docs ('page' = index.html, 'meta' = meta.json), so turning an option on
+// later still fills them in for items a sync run would otherwise skip.
+function ledgerHasFlag(ledger, itemId, flag) {
+  return !!ledgerEntry(ledger, itemId)?.[flag];
+}
 
-  let pageToken = null;
-  let seenTokens = new Set();
+function ledgerMarkFlag(ledger, itemId, flag) {
+  ledgerEntry(ledger, itemId, true)[flag] = true;
+  ledger.dirty.add(String(itemId));
+}
 
-  // first page (total count is unreliable on some accounts)
-  const firstUrl = buildPagedApiUrl(baseUrl, defaultQuery, { childId, pageSize, tz });
-  const first = await fetchAlbumsJsonViaTab(tabId, firstUrl);
+function ledgerMarkDone(ledger, itemId) {
+  ledgerEntry(ledger, itemId, true).done = Date.now();
+  ledger.dirty.add(String(itemId));
+}
 
-  // Only trust count if it looks plausible (> page size). Otherwise show "?".
-  const total = (typeof first.count === 'number' && first.count > (first.results?.length || 0)) ? first.count : null;
+// Offline HTML archive: per-item pages are written as items finish; the root index is rebuilt after each run
+// from every item recorded for that root (so sync runs keep older entries).
+const ARCHIVE_INDEX_KEY = 'archiveIndex';
 
-  await setStored('lastProgress', { index: 0, total: total ?? '?', albumId: null });
+async function loadArchiveIndex(rootSeg) {
+  const all = await getStored(ARCHIVE_INDEX_KEY, {});
+  return { rootSeg, items: all?.[rootSeg] || {} };
+}
 
-  let processed = 0;
-  let doneRange = false;
+function archiveAdd(archive, page) {
+  const photos = page.photos || [];
+  archive.items[page.dir] = {
+    date: page.date,
+    title: page.title,
+    dir: page.dir,
+    thumb: photos.length ? `${page.dir}/${photos[0]}` : '',
+    photos: photos.length,
+    videos: (page.videos || []).length,
+    files: (page.files || []).length,
+  };
+}
 
-  const fromYm = filters?.fromYm || '';
-  const toYm = filters?.toYm || '';
+async function writeArchiveIndex(archive, counters) {
+  const all = await getStored(ARCHIVE_INDEX_KEY, {});
+  all[archive.rootSeg] = archive.items;
+  await setStored(ARCHIVE_INDEX_KEY, all);
+  const html = renderIndexPage(archive.rootSeg, Object.values(archive.items));
+  const r = await safeDownload('index.html 저장', `파일: ${archive.rootSeg}/index.html`,
+    () => downloadDocFile(`${archive.rootSeg}/index.html`, 'text/html', html));
+  if (!r.ok) {
+    recordFailure(counters, archive.rootSeg, `${archive.rootSeg}/index.html`, r.error, { kind: 'doc', mime: 'text/html', body: html });
+  }
+}
 
-  function inRange(ym) {
-    return !(fromYm || toYm) || ymInRange(ym, fromYm, toYm);
+async function writeItemDoc(name, mime, body, ctx) {
+  const r = await safeDownload(
+    `${name} 저장`,
+    `${ctx.kindLabel}: ${ctx.label}\n파일: ${name}`,
+    () => downloadDocFile(`${ctx.dirBase}/${name}`, mime, body),
+    () => downloadDocFile(`${ctx.dirFallback}/${name}`, mime, body)
+  );
+  if (!r.ok) {
+    recordFailure(ctx.counters, ctx.label, `${ctx.dirBase}/${name}`, r.error, {
+      kind: 'doc', itemId: ctx.itemId, fallback: `${ctx.dirFallback}/${name}`, mime, body,
+    });
   }
+  return r.ok;
+}
 
-  async function handleResults(results) {
-    for (const album of results || []) {
-      if (stopRequested) { doneRange = true; break; }
-      const created = album.created || '';
-      const ym = created.slice(0, 7) || '';
+async function fetchCommentsViaTab(tabId, baseUrl) {
+  const comments = [];
+  const seen = new Set();
+  let url = baseUrl;
+  for (let i = 0; i < 50 && url && !seen.has(url); i++) {
+    seen.add(url);
+    const json = await withRetry(async () => {
+      const res = await chrome.tabs.sendMessage(tabId, { kind: 'FETCH_COMMENTS_PAGE', url });
+      if (!res?.ok) throw new Error(res?.status ? `HTTP_${res.status}` : (res?.error || 'FETCH_FAILED'));
+      return res.json;
+    });
+    if (Array.isArray(json)) {
+      comments.push(...json);
+      break;
+    }
+    comments.push(...(json?.results || []));
+    if (!json?.next) break;
+    // `next` is either a full URL or a page token, like the list APIs.
+    const nextUrl = new URL(baseUrl);
+    if (/^https:/.test(String(json.next))) url = String(json.next);
+    else { nextUrl.searchParams.set('page', String(json.next)); url = nextUrl.toString(); }
+  }
+  return comments;
+}
 
-      // Optimization for old ranges: data is newest->oldest.
-      if (toYm && ym && ym > toYm) {
-        counters.albumsSkipped++; processed++;
-        continue;
-      }
-      if (fromYm && ym && ym < fromYm) {
-        doneRange = true;
-        break;
-      }
+function commentCountHint(item) {
+  // Skip the extra request when the list API already says there are no comments.
+  for (const k of ['num_comments', 'comment_count', 'comments_count']) {
+    if (typeof item?.[k] === 'number') return item[k];
+  }
+  return null;
+}
 
-      if (!inRange(ym)) {
-        counters.albumsSkipped++; processed++;
-        continue;
-      }
+function countComments(comments) {
+  let n = 0;
+  for (const c of comments || []) n += 1 + countComments(c?.children || c?.replies || c?.child_comments);
+  return n;
+}
 
-      const res = await downloadAlbumFromApi(root, album, processed, total ?? '?', filters, startTs, counters);
-      if (!res?.ok) {
-        counters.lastError = res.error || 'unknown';
-        // Persist last error details for the popup
-        await setStored('lastErrorDetail', counters.lastError);
-        doneRange = true; // stop on fatal error to avoid silent partial runs
-        break;
-      }
-      processed++;
-      await setStored('lastProgress', { index: processed, total: total ?? '?', albumId: album.id });
-      await sleep(80);
+function formatComments(comments) {
+  const lines = [];
+  const walk = (list, depth) => {
+    for (const c of list || []) {
+      if (!c) continue;
+      const author = c.author_name || c.author?.name || c.user?.name || c.writer_name || c.name || '';
+      const when = String(c.created || c.created_at || '').replace('T', ' ').slice(0, 16);
+      const text = c.content ?? c.text ?? c.comment ?? '';
+      const indent = '    '.repeat(depth);
+      lines.push(`${indent}${depth ? '↳ ' : ''}[${when}] ${author}`.trimEnd());
+      for (const line of String(text).split('\n')) lines.push(`${indent}${line}`);
+      lines.push('');
+      walk(c.children || c.replies || c.child_comments, depth + 1);
     }
+  };
+  walk(comments, 0);
+  return lines.join('\n');
+}
 
-    // Light progress update during scanning/skipping so it doesn't look stuck.
-    if (fromYm || toYm) {
-      const sampleYm = (results?.[0]?.created || '').slice(0, 7);
-      await setProgress(`탐색/다운로드 중… 경과 ${fmtElapsed(Date.now()-startTs)}\nIdx:${processed} (다운로드:${counters.albumsDownloaded}, 스킵:${counters.albumsSkipped}) 현재:${sampleYm || '?'} 목표:${rangeText}`);
-    }
+async function saveComments(tabId, commentsUrl, item, ctx) {
+  // Returns { ok, comments } where comments is the raw thread (empty when there is none).
+  if (commentCountHint(item) === 0) return { ok: true, comments: [] };
+  let comments;
+  try {
+    comments = await fetchCommentsViaTab(tabId, commentsUrl);
+  } catch (e) {
+    recordFailure(ctx.counters, ctx.label, `${ctx.dirBase}/comments.txt`, String(e?.message || e), {
+      kind: 'comments', itemId: item.id, url: commentsUrl, fallback: `${ctx.dirFallback}/comments.txt`,
+    });
+    return { ok: false, comments: [] };
   }
+  if (!comments.length) return { ok: true, comments };
+  const ok = await writeItemDoc('comments.txt', 'text/plain', formatComments(comments), ctx);
+  if (ok) ctx.counters.commentsSaved = (ctx.counters.commentsSaved || 0) + countComments(comments);
+  return { ok, comments };
+}
+
+function buildMetaJson(type, item, mediaJobs, dir, comments) {
+  // Raw API record plus what we did with it, so the archive can be re-processed offline later.
+  const media = (t) => mediaJobs
+    .filter((j) => j.type === t)
+    .map((j) => ({ url: j.url, file: j.rel, ...(j.name ? { name: j.name } : {}) }));
+  return JSON.stringify({
+    type,
+    id: item.id,
+    dir,
+    savedAt: new Date().toISOString(),
+    media: { photos: media('photo'), videos: media('video'), files: media('file') },
+    ...(comments ? { comments } : {}),
+    source: item,
+  }, null, 2);
+}
 
-  await handleResults(first.results);
-  pageToken = first.next;
+function relativeItemDir(dirBase) {
+  // dirBase is "<root>/[child/]item"; the root is always a single sanitized segment.
+  return dirBase.split('/').slice(1).join('/');
+}
 
-  for (let i = 0; i < 5000; i++) {
-    if (!pageToken) break;
-    if (seenTokens.has(pageToken)) break;
-    seenTokens.add(pageToken);
+async function getApiInfo(tabId, type) {
+  const res = await chrome.tabs.sendMessage(tabId, { kind: type.messages.apiInfo });
+  if (!res?.ok || !res.info?.baseUrl) throw new Error(`CANT_DETECT_${type.mode.toUpperCase()}_API`);
+  return res.info; // {childId, baseUrl, sampleUrl, defaultQuery}
+}
 
-    if (doneRange) break;
+async function fetchListJsonViaTab(tabId, type, url) {
+  return withRetry(async () => {
+    const res = await chrome.tabs.sendMessage(tabId, { kind: type.messages.fetchPage, url });
+    if (!res?.ok) throw new Error(res?.status ? `HTTP_${res.status}` : (res?.error || 'FETCH_FAILED'));
+    return res.json;
+  });
+}
 
-    const url = buildPagedApiUrl(baseUrl, defaultQuery, { childId, pageSize, tz, pageToken });
-    const j = await fetchAlbumsJsonViaTab(tabId, url);
-    await handleResults(j.results);
-    pageToken = j.next;
-  }
+function resolveChildTargets(api, children, baseUrlFor) {
+  // Without an explicit child selection, keep the child the page detected and the flat layout.
+  const picked = (Array.isArray(children) ? children : []).filter((c) => /^\d+$/.test(String(c?.id ?? '')));
+  if (!picked.length) return [{ childId: String(api.childId), baseUrl: api.baseUrl, name: '', subdir: '' }];
+
+  const names = picked.map((c) => sanitizeSegment(c.name || String(c.id), 40));
+  return picked.map((c, i) => {
+    const dup = names.filter((n) => n === names[i]).length > 1;
+    return {
+      childId: String(c.id),
+      baseUrl: baseUrlFor(c.id),
+      name: c.name || String(c.id),
+      subdir: dup ? sanitizeSegment(`${names[i]}-${c.id}`, 40) : names[i],
+    };
+  });
+}
 
-  const elapsed = fmtElapsed(Date.now()-startTs);
-  const errPart = counters.errors ? `\n에러: ${counters.errors}건\n마지막: ${counters.lastError}` : '';
-  const report = `결과:\n- 앨범: ${counters.albumsDownloaded}개\n- 사진: ${counters.photosDownloaded}개\n- 동영상: ${counters.videosDownloaded}개${errPart}\n- 총 소요: ${elapsed}`;
-  await setFinalReport(report);
+const DEFAULT_PARALLEL_DOWNLOADS = 3;
+const MAX_PARALLEL_DOWNLOADS = 6;
+const MEDIA_COUNTER_KEYS = { photo: 'photosDownloaded', video: 'videosDownloaded', file: 'filesDownloaded' };
+// Per-worker pause after each file so a handful of workers stays gentle on kakaocdn.
+const MEDIA_DELAY_MS = { photo: 80, video: 120, file: 80 };
 
-  await setStored('lastProgress', { index: processed, total: total ?? '?', albumId: null, done: true, downloadedAlbums: counters.albumsDownloaded });
-  await setProgress(stopRequested ? `중단됨 (${elapsed})` : `완료 (${elapsed})`);
+function clampParallel(n) {
+  const v = Math.floor(Number(n));
+  if (!Number.isFinite(v) || v < 1) return DEFAULT_PARALLEL_DOWNLOADS;
+  return Math.min(v, MAX_PARALLEL_DOWNLOADS);
 }
 
+async function runPool(items, limit, worker) {
+  // Resolves with how many items were started; a stop only ends handing out new ones, so those all finished.
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !stopRequested) {
+      const i = next++;
+      await worker(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+  return next;
+}
 
-function pickBestReportImageUrl(img) {
-  // same shape as album images
-  return img?.original || img?.large || img?.large_resize || img?.small || img?.small_resize || null;
+function saveMedia(filename, job) {
+  if (activeZip) return zipAddUrl(filename, job.url, job.exif);
+  return job.exif ? downloadPhotoWithExif(filename, job.url, job.exif) : downloadUrl(filename, job.url);
 }
 
-function flattenVideoUrl(v) {
-  if (!v) return [];
-  if (typeof v === 'string') return [v];
-  if (typeof v === 'object') return [v.high, v.low, v.url].filter(Boolean);
-  return [];
+function exifFor(options, url, created, title) {
+  if (!options?.exif || !/^jpe?g$/.test(extractUrlExtension(url))) return null;
+  return { created, description: title || '' };
 }
 
-function getReportVideoUrls(report) {
-  const urls = [];
-  urls.push(...flattenVideoUrl(report.attached_video));
-  urls.push(...flattenVideoUrl(report.material_video));
-  // Some responses may include arrays
-  if (Array.isArray(report.attached_videos)) {
-    for (const v of report.attached_videos) urls.push(...flattenVideoUrl(v));
+async function downloadMediaJobs(jobs, ctx) {
+  // jobs: [{ type: 'photo'|'video'|'file', url, rel, exif? }], rel is relative to the item folder.
+  // Returns { failed, started }: a pause resumes after the first `started` jobs.
+  let done = 0;
+  let failed = 0;
+  if (jobs.length) await ctx.onProgress(0, jobs.length);
+  // Jobs finish out of order with parallel downloads; `saved` counts the leading run of finished ones.
+  const finished = jobs.map(() => false);
+  let saved = 0;
+  const started = await runPool(jobs, clampParallel(ctx.parallel), async (job, i) => {
+    const r = await safeDownload(
+      `${job.type} 다운로드`,
+      `${ctx.kindLabel}: ${ctx.label}\n파일: ${job.rel}`,
+      () => saveMedia(`${ctx.dirBase}/${job.rel}`, job),
+      () => saveMedia(`${ctx.dirFallback}/${job.fallbackRel || job.rel}`, job)
+    );
+    done++;
+    if (!r.ok) {
+      recordFailure(ctx.counters, ctx.label, `${ctx.dirBase}/${job.rel}`, r.error, {
+        kind: job.type, itemId: ctx.itemId, url: job.url, fallback: `${ctx.dirFallback}/${job.fallbackRel || job.rel}`, exif: job.exif || null,
+      });
+      failed++;
+    } else {
+      if (ctx.ledger) ledgerMarkMedia(ctx.ledger, ctx.itemId, job.url);
+      ctx.counters.bytesDownloaded += r.value?.bytes || 0;
+      ctx.counters[MEDIA_COUNTER_KEYS[job.type]]++;
+    }
+    finished[i] = true;
+    while (finished[saved]) saved++;
+    await ctx.onSaved?.(saved);
+    await ctx.onProgress(done, jobs.length);
+    await sleep(MEDIA_DELAY_MS[job.type] || 80);
+  });
+  return { failed, started };
+}
+
+function normalizeDateBound(value, isEnd) {
+  // Accept YYYY-MM or YYYY-MM-DD; month bounds widen to the whole month, ending on its real last day since the
+  // bound also shows up in the range text, progress and history.
+  const v = String(value || '').trim();
+  if (/^20\d{2}-\d{2}-\d{2}$/.test(v)) return v;
+  if (!/^20\d{2}-\d{2}$/.test(v)) return '';
+  if (!isEnd) return `${v}-01`;
+  const [year, month] = v.split('-').map(Number);
+  return `${v}-${String(new Date(Date.UTC(year, month, 0)).getUTCDate()).padStart(2, '0')}`;
+}
+
+function localDateString(d) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const DATE_PRESET_LABELS = { last7: '최근 7일', thisMonth: '이번 달', sinceLastRun: '마지막 성공 실행 이후' };
+
+async function resolveDateRange(filters, mode) {
+  // Returns concrete { from, to } day bounds ('' = open) plus a label for progress/report text.
+  const preset = filters?.preset || '';
+  const now = new Date();
+  let from = '';
+  let to = '';
+  if (preset === 'last7') {
+    from = localDateString(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6));
+  } else if (preset === 'thisMonth') {
+    from = localDateString(new Date(now.getFullYear(), now.getMonth(), 1));
+  } else if (preset === 'sinceLastRun') {
+    const runs = await getStored('lastSuccessfulRun', {});
+    from = normalizeDateBound(runs?.[mode]?.date, false);
+  } else {
+    // `fromYm`/`toYm` are the keys older popups (and stored filters) used.
+    from = normalizeDateBound(filters?.from ?? filters?.fromYm, false);
+    to = normalizeDateBound(filters?.to ?? filters?.toYm, true);
   }
-  return [...new Set(urls)].filter(Boolean);
+  const span = (from || to) ? `${from || '...'} ~ ${to || '...'}` : '전체';
+  const text = DATE_PRESET_LABELS[preset] ? `${DATE_PRESET_LABELS[preset]} (${span})` : span;
+  return { from, to, text };
 }
 
-function getReportFiles(report) {
-  const files = [];
-  const arr = report.attached_files;
-  if (Array.isArray(arr)) {
-    for (const f of arr) {
-      if (!f) continue;
-      if (typeof f === 'string') files.push({ url: f, name: null });
-      else files.push({ url: f.url || f.file || f.download_url || f.downloadUrl || null, name: f.name || f.filename || f.original_name || null });
-    }
+function dateInRange(date, range) {
+  if (!date) return false;
+  if (!/^20\d{2}-\d{2}-\d{2}$/.test(date)) return true; // don't block on weird input
+  if (range?.from && date < range.from) return false;
+  if (range?.to && date > range.to) return false;
+  return true;
+}
+
+async function coversEverything(run, targets) {
+  // Only a run over everything moves the "since last successful run" anchor: a narrower one (a date range, picked
+  // items, content filters, some media types or some of the children) leaves older posts it never looked at.
+  const { tabId, filters, options, range, mediaTypes, picked, contentFilter } = run;
+  if ((range.from || range.to) && filters?.preset !== 'sinceLastRun') return false;
+  if (picked || contentFilter || !Object.values(mediaTypes).every(Boolean)) return false;
+  if (!options?.children?.length) return true;
+  const res = await chrome.tabs.sendMessage(tabId, { kind: 'LIST_CHILDREN' }).catch(() => null);
+  const ids = new Set(targets.map((t) => t.childId));
+  return !!res?.ok && (res.children || []).every((c) => ids.has(String(c.id)));
+}
+
+async function recordSuccessfulRun(mode, startTs) {
+  // Anchor for the "since last successful run" preset; uses the run's start day so nothing posted mid-run is missed.
+  const runs = await getStored('lastSuccessfulRun', {});
+  runs[mode] = { date: localDateString(new Date(startTs)), ts: startTs };
+  await setStored('lastSuccessfulRun', runs);
+}
+
+// Content filters (keyword on title/content; author/class for reports and notices) and media-type selection.
+function contentFilterFrom(filters, mode) {
+  const words = String(filters?.keyword || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const author = mode !== 'album' ? String(filters?.author || '').trim().toLowerCase() : '';
+  const className = mode !== 'album' ? String(filters?.className || '').trim().toLowerCase() : '';
+  if (!words.length && !author && !className) return null;
+  return { words, author, className };
+}
+
+function matchesContentFilter(item, cf) {
+  if (!cf) return true;
+  const text = `${item.title || ''}\n${item.content || ''}`.toLowerCase();
+  if (!cf.words.every((w) => text.includes(w))) return false;
+  if (cf.author && !String(item.author_name || '').toLowerCase().includes(cf.author)) return false;
+  if (cf.className && !String(item.class_name || '').toLowerCase().includes(cf.className)) return false;
+  return true;
+}
+
+function mediaTypesFrom(options) {
+  // Everything is included unless explicitly turned off (options saved by older popups have no `types`).
+  const t = options?.types || {};
+  return { text: t.text !== false, photo: t.photo !== false, video: t.video !== false, file: t.file !== false };
+}
+
+function pickedItems(options, mode) {
+  // options.pick = { mode, ids } from the popup's item list; null means "everything in range".
+  const ids = options?.pick?.mode === mode ? options.pick.ids : null;
+  if (!Array.isArray(ids) || !ids.length) return null;
+  const set = new Set(ids.map(String));
+  return { ids: set, left: set.size };
+}
+
+function buildPagedApiUrl(baseUrl, defaultQuery, opts) {
+  const url = new URL(baseUrl);
+  const defaults = defaultQuery && typeof defaultQuery === 'object' ? defaultQuery : {};
+  for (const [k, v] of Object.entries(defaults)) {
+    if (v == null || v === '') continue;
+    url.searchParams.set(k, String(v));
   }
-  return files.filter((x) => x.url);
+  if (opts?.pageToken) url.searchParams.set('page', String(opts.pageToken));
+  url.searchParams.set('page_size', String(opts.pageSize));
+  url.searchParams.set('tz', String(opts.tz));
+  url.searchParams.set('child', String(opts.childId));
+  return url.toString();
+}
+
+// Folder/file name templates. Every '/'-separated part is filled in and sanitized on its own, so a title
+// containing '/' can't add folders. The defaults reproduce the original hard-coded layout.
+const DEFAULT_NAME_TEMPLATES = {
+  ...Object.fromEntries(Object.values(CONTENT_TYPES).map((t) => [t.mode, t.nameTemplate])),
+  media: '{index}.{ext}',
+};
+
+function nameTemplate(options, key) {
+  const t = String(options?.templates?.[key] || '').trim();
+  return t || DEFAULT_NAME_TEMPLATES[key];
+}
+
+function itemTokens({ date, title, id, child, className, author, index }) {
+  const [yyyy = 'unknown', mm = '00', dd = '00'] = /^\d{4}-\d{2}-\d{2}$/.test(date) ? date.split('-') : [];
+  const clean = (v, maxLen) => (v ? sanitizeSegment(String(v), maxLen) : '');
+  return {
+    yyyy, mm, dd,
+    title: clean(title, 60),
+    id: clean(id, 40),
+    child: clean(child, 40),
+    class: clean(className, 40),
+    author: clean(author, 40),
+    index: String(index ?? ''),
+    ext: '',
+  };
+}
+
+function renderNameTemplate(template, tokens) {
+  return String(template)
+    .split('/')
+    .map((part) => part.replace(/\{(\w+)\}/g, (m, key) => (key in tokens ? tokens[key] : m)).trim())
+    .filter(Boolean) // e.g. "{child}/" when there's only one child
+    .map((part) => sanitizeSegment(part, 150))
+    .join('/');
+}
+
+function mediaRel(folder, options, tokens, index, ext) {
+  // Returns [rel, fallbackRel]; the fallback keeps the plain "001.jpg" name for Invalid filename retries.
+  const num = String(index + 1).padStart(3, '0');
+  const name = renderNameTemplate(nameTemplate(options, 'media'), { ...tokens, index: num, ext });
+  return [`${folder}/${name || `${num}.${ext}`}`, `${folder}/${num}.${ext}`];
 }
 
 function extractUrlExtension(url) {
@@ -416,272 +1006,1184 @@ function hasFileLikeExtension(name) {
   return /\.[A-Za-z0-9]{1,10}$/.test(name || '');
 }
 
-async function downloadReportFromApi(root, report, index, total, filters, startTs, counters) {
+// Download engine: one pipeline for every board in CONTENT_TYPES. A run context ({ type, tabId, options, range,
+// startTs, counters, ledger, archive, mediaTypes, picked, contentFilter }) is shared by everything below.
+// Kidsnote API supports larger page_size (tested: 100); results come newest -> oldest.
+const LIST_PAGE_SIZE = 100;
+const LIST_TZ = 'Asia/Seoul';
+
+async function downloadItem(run, dirRoot, item, index, total, childName) {
   if (stopRequested) return { ok: true, skipped: true, stopped: true };
+  const { type, options, counters, ledger, range } = run;
+  // The item a paused run stopped in: its text and first `mediaIndex` media are already saved.
+  const resumed = run.resumeItem && String(run.resumeItem.id) === String(item.id) ? run.resumeItem : null;
+  run.resumeItem = null;
 
-  const created = report.created || report.date_written || '';
+  const created = type.createdOf(item);
   const date = String(created).slice(0, 10) || 'unknown-date';
-  const ym = String(created).slice(0, 7) || '';
-
-  const fromYm = filters?.fromYm || '';
-  const toYm = filters?.toYm || '';
-  if ((fromYm || toYm) && !ymInRange(ym, fromYm, toYm)) {
+  if ((range?.from || range?.to) && !dateInRange(String(created).slice(0, 10), range)) {
     return { ok: true, skipped: true };
   }
 
-  const title = sanitizeSegment(report.class_name || report.author_name || 'report', 60);
-  const reportId = sanitizeSegment(String(report.id || `item-${index + 1}`), 40);
+  const rawTitle = type.titleOf(item);
+  const title = sanitizeSegment(rawTitle || type.mode, 60);
+  const itemId = sanitizeSegment(String(item.id || `item-${index + 1}`), 40);
+  const tokens = itemTokens({
+    date, title, id: itemId, child: childName, className: item.class_name,
+    author: item.author_name || item.author?.name, index: String(index + 1).padStart(3, '0'),
+  });
+  // Base dir (from the name template) + minimal fallback dir for Invalid filename errors.
+  const dirBase = `${dirRoot}/${renderNameTemplate(nameTemplate(options, type.mode), tokens)}`;
+  const dirFallback = `${dirRoot}/${date}-${itemId}`;
+
+  const media = type.mediaOf(item);
+  const types = run.mediaTypes;
+  const wantedUrls = [
+    ...(types.photo ? media.photo : []),
+    ...(types.video ? media.video : []),
+    ...(types.file ? media.file.map((f) => f.url) : []),
+  ];
+  if (!types.text && !wantedUrls.length) {
+    // e.g. "videos only" and this item has none.
+    counters.filteredOut++;
+    return { ok: true, skipped: true, filtered: true };
+  }
+  const skipKnown = !!ledger?.skipKnown;
+  const needsDocs = (!!options?.html && !ledgerHasFlag(ledger, item.id, 'page'))
+    || (!!options?.metaJson && !ledgerHasFlag(ledger, item.id, 'meta'))
+    || (!!options?.comments && !ledgerHasFlag(ledger, item.id, 'comments'));
+  if (skipKnown && !needsDocs && ledgerIsComplete(ledger, item.id, wantedUrls, types.text)) {
+    counters.itemsUpToDate++;
+    return { ok: true, skipped: true, upToDate: true };
+  }
+
+  const progressHead = () => `Idx: ${index + 1} (다운로드: ${counters.itemsDownloaded}, 스킵: ${counters.itemsSkipped || 0})\n경과: ${fmtElapsed(Date.now()-run.clockTs)}`;
+  await setProgress(`${progressHead()}\n현재: ${date}-${title} (text)`);
+  await updateProgress({ item: { id: item.id, date, title }, media: { done: 0, total: 0 }, bytes: counters.bytesDownloaded });
+  if (options?.zip === 'album') await openZip(`${dirBase}.zip`, dirRoot);
+  if (activeZip) activeZip.created = created;
+
+  const label = `${date}-${title} (id=${item.id})`;
+  let failed = 0;
+
+  if (types.text && !resumed && !(skipKnown && ledgerHasText(ledger, item.id))) {
+    const text = type.textOf(item, { child: childName });
+    const textRes = await safeDownload(
+      'text 저장',
+      `${type.label}: ${label}\n파일: text.txt`,
+      () => downloadTextFile(`${dirBase}/text.txt`, text),
+      () => downloadTextFile(`${dirFallback}/text.txt`, text)
+    );
+    if (!textRes.ok) {
+      recordFailure(counters, label, `${dirBase}/text.txt`, textRes.error, {
+        kind: 'text', itemId: item.id, fallback: `${dirFallback}/text.txt`, body: text,
+      });
+      failed++;
+    } else {
+      counters.bytesDownloaded += textRes.value?.bytes || 0;
+      if (ledger) ledgerMarkText(ledger, item.id);
+    }
+  }
+  // From here on the checkpoint resumes inside this item: text done, then media in order. The item is counted in
+  // the same step, so a checkpoint taken in between never counts it without skipping its text.
+  if (!resumed) counters.itemsDownloaded++;
+  const mediaBase = resumed?.mediaIndex || 0;
+  if (run.position) {
+    run.position.item = { id: item.id, mediaIndex: mediaBase };
+    checkpointJob();
+  }
+
+  const pad = (n) => String(n).padStart(3, '0');
+  const extOf = (url, fallback) => (new URL(url)).pathname.split('.').pop() || fallback;
+  const relFields = (folder, i, url, fallbackExt) => {
+    const [rel, fallbackRel] = mediaRel(folder, options, tokens, i, extOf(url, fallbackExt));
+    return { rel, fallbackRel };
+  };
+  const fileRel = (f, i) => {
+    const baseName = sanitizeSegment(f.name || `file_${pad(i + 1)}`, 60);
+    const urlExt = extractUrlExtension(f.url);
+    return `files/${(urlExt && !hasFileLikeExtension(baseName)) ? `${baseName}.${urlExt}` : baseName}`;
+  };
+  const caption = item.title || rawTitle;
+  const mediaJobs = [
+    ...media.photo.map((url, i) => ({
+      type: 'photo', url, ...relFields('photos', i, url, 'jpg'), exif: exifFor(options, url, created, caption),
+    })),
+    ...media.video.map((url, i) => ({ type: 'video', url, ...relFields('videos', i, url, 'mp4') })),
+    ...media.file.map((f, i) => ({ type: 'file', url: f.url, rel: fileRel(f, i), name: f.name })),
+  ];
+  // Only the selected media types: meta.json, index.html and the archive index list just what this run saves.
+  const wantedJobs = mediaJobs.filter((job) => types[job.type]);
+  const pendingJobs = wantedJobs
+    .map((job, pos) => ({ ...job, pos }))
+    .slice(mediaBase)
+    .filter((job) => !(skipKnown && ledgerHasMedia(ledger, item.id, job.url)));
+
+  const mediaRes = await downloadMediaJobs(pendingJobs, {
+    dirBase, dirFallback, label, kindLabel: type.label, itemId: item.id, ledger, counters, parallel: options?.parallel,
+    onSaved: async (n) => {
+      if (!run.position?.item) return;
+      run.position.item.mediaIndex = n ? pendingJobs[n - 1].pos + 1 : mediaBase;
+      checkpointJob();
+    },
+    onProgress: async (done, count) => {
+      await setProgress(`${progressHead()}\n현재: ${date}-${title} 미디어 ${done}/${count}`);
+      await updateProgress({ media: { done, total: count }, bytes: counters.bytesDownloaded });
+    },
+  });
+  failed += mediaRes.failed;
+  const mediaIndex = mediaRes.started ? pendingJobs[mediaRes.started - 1].pos + 1 : mediaBase;
+
+  const docCtx = { dirBase, dirFallback, label, kindLabel: type.label, itemId: item.id, counters };
+  let comments = null;
+  if (options?.comments && !stopRequested) {
+    const res = await saveComments(run.tabId, type.commentsUrl(item.id), item, docCtx);
+    if (res.ok) {
+      comments = res.comments;
+      if (ledger) ledgerMarkFlag(ledger, item.id, 'comments');
+    } else {
+      failed++;
+    }
+  }
+
+  if (options?.metaJson && !stopRequested) {
+    const meta = buildMetaJson(type.mode, item, wantedJobs, relativeItemDir(dirBase), comments);
+    if (await writeItemDoc('meta.json', 'application/json', meta, docCtx)) {
+      if (ledger) ledgerMarkFlag(ledger, item.id, 'meta');
+    } else {
+      failed++;
+    }
+  }
+
+  let page = null;
+  if (options?.html && !stopRequested) {
+    page = {
+      kind: type.label, date, title: rawTitle || title, subtitle: type.subtitleOf(item),
+      content: item.content || '', dir: relativeItemDir(dirBase),
+      comments: comments?.length ? formatComments(comments) : '',
+      photos: wantedJobs.filter((j) => j.type === 'photo').map((j) => j.rel),
+      videos: wantedJobs.filter((j) => j.type === 'video').map((j) => j.rel),
+      files: wantedJobs.filter((j) => j.type === 'file').map((j) => ({ rel: j.rel, name: j.name })),
+    };
+    if (await writeItemDoc('index.html', 'text/html', renderItemPage(page), docCtx)) {
+      if (ledger) ledgerMarkFlag(ledger, item.id, 'page');
+    } else {
+      failed++;
+    }
+  }
+
+  if (options?.zip === 'album' && !(await closeZip(counters, ledger))) failed++;
+  // Leave partially failed items open so the next sync picks up what's missing.
+  if (ledger && !stopRequested && !failed) ledgerMarkDone(ledger, item.id);
+  return { ok: true, failed, page, stopped: stopRequested, mediaIndex };
+}
+
+async function downloadChild(run, api, target, dirRoot, childIndex) {
+  const { type, tabId, options, range, counters, ledger, picked } = run;
+  const { from, to } = range;
+  const childText = target.name ? `[${target.name}] ` : '';
+  const pageUrl = (pageToken) => buildPagedApiUrl(target.baseUrl, api.defaultQuery, {
+    childId: target.childId, pageSize: LIST_PAGE_SIZE, tz: LIST_TZ, pageToken,
+  });
+
+  // Resuming a paused run: start at its page and skip the items before the one it stopped at.
+  const resumeAt = run.resumeAt?.childIndex === childIndex ? run.resumeAt : null;
+  run.resumeAt = null;
+  run.resumeItem = resumeAt?.item || null;
+
+  // First page; the total count is unreliable on some accounts, so only trust it if it's more than one page.
+  const first = await fetchListJsonViaTab(tabId, type, pageUrl(resumeAt?.pageToken ?? null));
+  const total = (typeof first.count === 'number' && first.count > (first.results?.length || 0)) ? first.count : null;
+  await setStored('lastProgress', { mode: type.mode, index: 0, total: total ?? '?', itemId: null, childId: target.childId });
+  // A range start or a pick list ends the walk early, so the count says nothing about how far along we are.
+  const barTotal = from || picked ? null : total ?? (first.next ? null : first.results?.length || 0);
+  await updateProgress({ phase: 'downloading', item: null, items: { done: resumeAt?.processed || 0, total: barTotal }, media: { done: 0, total: 0 } });
+
+  let processed = resumeAt?.processed || 0;
+  let doneRange = false;
+
+  async function handleResults(results, pageToken, skip = 0) {
+    for (const [itemIndex, item] of (results || []).entries()) {
+      if (itemIndex < skip) continue;
+      run.position = { childIndex, pageToken, itemIndex, processed, item: null };
+      if (stopRequested) { run.paused = pauseRequested; doneRange = true; break; }
+      const date = String(type.createdOf(item)).slice(0, 10);
+
+      // Newest -> oldest: skip past the end of the range, stop once we're before its start.
+      if (to && date && date > to) { counters.itemsSkipped++; processed++; continue; }
+      if (from && date && date < from) { doneRange = true; break; }
+      if ((from || to) && !dateInRange(date, range)) { counters.itemsSkipped++; processed++; continue; }
+      if (picked && !picked.ids.has(String(item.id))) { counters.itemsSkipped++; processed++; continue; }
+      if (!matchesContentFilter(item, run.contentFilter)) { counters.filteredOut++; processed++; continue; }
+
+      if (options?.zip === 'month') await switchZip(`${dirRoot}/${date.slice(0, 7) || 'unknown-date'}.zip`, dirRoot, counters, ledger);
+      const res = await downloadItem(run, dirRoot, item, processed, total ?? '?', target.name);
+      // An open month/run ZIP saves the ledger itself once the archive is on disk.
+      if (!activeZip) await saveLedger(ledger);
+      if (run.archive && res?.page) archiveAdd(run.archive, res.page);
+      // Persist last error details for the popup.
+      if (res?.failed) await setStored('lastErrorDetail', counters.lastError);
+      if (res?.stopped && pauseRequested) {
+        // Paused partway through this item: the resumed run picks it up after the media already saved.
+        if (res.mediaIndex != null) run.position.item = { id: item.id, mediaIndex: res.mediaIndex };
+        run.paused = true;
+        doneRange = true;
+        break;
+      }
+      processed++;
+      if (picked) picked.left--;
+      run.position = { childIndex, pageToken, itemIndex: itemIndex + 1, processed, item: null };
+      checkpointJob();
+      await setStored('lastProgress', { mode: type.mode, index: processed, total: total ?? '?', itemId: item.id, childId: target.childId });
+      await updateProgress({ items: { done: processed, total: barTotal }, media: { done: 0, total: 0 }, bytes: counters.bytesDownloaded });
+      // Every picked item is done: no need to page through the rest of the history.
+      if (picked && picked.left <= 0) { doneRange = true; break; }
+      await sleep(80);
+    }
+
+    // Light progress update during scanning/skipping so it doesn't look stuck.
+    await updateProgress({ items: { done: processed, total: barTotal } });
+    if (from || to) {
+      const sampleYm = String(type.createdOf(results?.[0] || {})).slice(0, 7);
+      await setProgress(`${childText}탐색/다운로드(${type.label}) 중… 경과 ${fmtElapsed(Date.now()-run.clockTs)}\nIdx:${processed} (다운로드:${counters.itemsDownloaded}, 스킵:${counters.itemsSkipped}) 현재:${sampleYm || '?'} 목표:${range.text}`);
+    }
+  }
+
+  await handleResults(first.results, resumeAt?.pageToken ?? null, resumeAt?.itemIndex || 0);
+  let pageToken = first.next;
+  const seenTokens = new Set();
+  for (let i = 0; i < 5000; i++) {
+    if (!pageToken || seenTokens.has(pageToken) || doneRange) break;
+    seenTokens.add(pageToken);
+    const j = await fetchListJsonViaTab(tabId, type, pageUrl(pageToken));
+    await handleResults(j.results, pageToken);
+    pageToken = j.next;
+  }
+}
+
+async function startDownload(type, tabId, root, filters, options, resume = null) {
+  // `resume` is a paused job (see savePausedJob): same range and counters, continuing from its position.
+  stopRequested = false;
+  pauseRequested = false;
+  await setStored('stopRequested', false);
+  await setFinalReport('');
+  // A new run of the same board makes its paused position meaningless; a resumed one saves a new one if paused again.
+  await chrome.storage.local.remove(pausedJobKey(type.mode));
+
+  const startTs = resume?.startTs || Date.now();
+  // Elapsed time and the ETA leave out the time spent paused.
+  const clockTs = resume ? Date.now() - resume.activeMs : startTs;
+  await beginProgress('starting', type, clockTs);
+  const range = resume?.range || await resolveDateRange(filters, type.mode);
+  const zipText = ZIP_MODE_LABELS[options?.zip] ? ` / ZIP(${ZIP_MODE_LABELS[options.zip]})` : '';
+  const pickText = options?.pick?.mode === type.mode ? ` / 선택 ${options.pick.ids?.length || 0}개` : '';
+  const syncText = `${options?.sync ? ' / 동기화' : ''} / 동시 ${clampParallel(options?.parallel)}${zipText}${pickText}`;
+  await setProgress(`${resume ? '이어받기' : '시작'}(${type.label}): root=${sanitizeSegment(root)} / 기간=${range.text}${syncText}`);
+
   const rootSeg = sanitizeSegment(root, 40);
-  // Keep per-item folder unique to avoid mixing files when title/date repeats.
-  const dirBase = `${rootSeg}/${date}-${title}-${reportId}`;
-  const dirFallback = `${rootSeg}/${date}-${reportId}`;
+  const run = {
+    type, tabId, root, filters, options, range, startTs, clockTs,
+    counters: resume?.counters || { itemsDownloaded: 0, itemsSkipped: 0, itemsUpToDate: 0, filteredOut: 0, photosDownloaded: 0, videosDownloaded: 0, filesDownloaded: 0, bytesDownloaded: 0, errors: 0, lastError: '', failures: [] },
+    // Always record what gets saved; only skip known items when sync is requested.
+    ledger: await loadLedger(type.mode, options?.sync),
+    archive: options?.html ? await loadArchiveIndex(rootSeg) : null,
+    mediaTypes: mediaTypesFrom(options),
+    picked: pickedItems(options, type.mode),
+    contentFilter: contentFilterFrom(filters, type.mode),
+    // Where the walk is: { childIndex, pageToken, itemIndex, processed, item: { id, mediaIndex } | null }.
+    position: null,
+    resumeAt: resume?.position || null,
+    paused: false,
+    // Automatic restarts after the worker was shut down mid-run (see recoverOrphanedJob).
+    recoveries: resume?.recoveries || 0,
+  };
+  const { counters, ledger, archive } = run;
+  if (run.picked && resume?.pickedLeft != null) run.picked.left = resume.pickedLeft;
+  await startCheckpoints(run);
+
+  // Stream list pages and download as we go, without storing the full list (avoids chrome.storage quota).
+  let targets = [];
+  try {
+    const api = await getApiInfo(tabId, type);
+    targets = resolveChildTargets(api, options?.children, type.listUrl);
+    if (options?.zip === 'run') await openZip(`${rootSeg}/${rootSeg}-${zipStamp(resume ? Date.now() : startTs)}.zip`, rootSeg);
+
+    for (const [index, target] of targets.entries()) {
+      if (run.resumeAt && index < run.resumeAt.childIndex) continue;
+      if (!run.resumeAt) run.position = { childIndex: index, pageToken: null, itemIndex: 0, processed: 0, item: null };
+      if (stopRequested || run.picked?.left <= 0) {
+        run.paused = stopRequested && pauseRequested;
+        break;
+      }
+      await writeCheckpoint();
+      if (target.name) await setProgress(`[${target.name}] 시작(${type.label}): root=${rootSeg}/${target.subdir} / 기간=${range.text}${syncText}`);
+      await updateProgress({ phase: 'scanning', child: { index, count: targets.length, name: target.name || '' } });
+      await downloadChild(run, api, target, target.subdir ? `${rootSeg}/${target.subdir}` : rootSeg, index);
+    }
+
+    // A run ZIP also carries the root index.html; per-album/month ZIPs leave it next to the archives.
+    await updateProgress({ phase: 'writing', item: null });
+    if (options?.zip !== 'run') await closeZip(counters, ledger);
+    if (archive) {
+      await setProgress(`index.html 작성 중… (${Object.keys(archive.items).length}개 항목)`);
+      await writeArchiveIndex(archive, counters);
+    }
+    await closeZip(counters, ledger);
+  } catch (e) {
+    // Crashed runs go into the history too, with whatever they managed before failing, and stay resumable from
+    // their last checkpoint (e.g. the tab was closed or the session expired) - once they got as far as having one.
+    await stopCheckpoints();
+    if (run.position || run.resumeAt) {
+      await setStored(pausedJobKey(type.mode), { ...(activeZip?.checkpoint || jobSnapshot(run)), pausedAt: Date.now(), interrupted: true });
+    }
+    await recordRunHistory(run, rootSeg, targets, String(e?.message || e));
+    await endProgress('error', String(e?.message || e));
+    throw e;
+  }
+  await stopCheckpoints();
+  const unlisted = Math.max(0, counters.errors - counters.failures.length);
+  const csvSaved = await saveFailedDownloads(type.mode, rootSeg, counters.failures, unlisted);
+
+  if (run.paused) await savePausedJob(run);
+
+  const elapsed = fmtElapsed(Date.now()-clockTs);
+  const csvPart = csvSaved && counters.errors ? `\n목록: ${rootSeg}/errors.csv (팝업의 '실패 항목 다시 받기'로 재시도)` : '';
+  const unlistedPart = unlisted ? `\n목록에 없는 실패: ${unlisted}건 (errors.csv와 '실패 항목 다시 받기'에서 빠짐, 동기화로 다시 받기)` : '';
+  const errPart = counters.errors ? `\n실패(건너뜀): ${counters.errors}건\n마지막: ${counters.lastError}${csvPart}${unlistedPart}` : '';
+  const childPart = targets.length > 1 ? `\n- 아이: ${targets.map((t) => t.name).join(', ')}` : '';
+  const upToDatePart = options?.sync ? `\n- 건너뜀(이미 받음): ${counters.itemsUpToDate}개` : '';
+  const filePart = type.hasFiles ? `\n- 파일: ${counters.filesDownloaded}개` : '';
+  const commentPart = options?.comments ? `\n- 댓글: ${counters.commentsSaved || 0}개` : '';
+  const zipPart = counters.zipsSaved ? `\n- ZIP: ${counters.zipsSaved}개` : '';
+  const filteredPart = counters.filteredOut ? `\n- 필터로 제외: ${counters.filteredOut}개` : '';
+  const pausedPart = run.paused ? `\n일시정지됨: 팝업의 '이어받기'로 멈춘 곳부터 계속합니다.` : '';
+  const report = `결과(${type.label}):${childPart}\n- ${type.itemNoun}: ${counters.itemsDownloaded}개${upToDatePart}${filteredPart}\n- 사진: ${counters.photosDownloaded}개\n- 동영상: ${counters.videosDownloaded}개${filePart}${commentPart}${zipPart}\n- 저장 용량: ${fmtBytes(counters.bytesDownloaded)}${errPart}\n- 총 소요: ${elapsed}${pausedPart}`;
+  await setFinalReport(report);
 
-  await setProgress(`Idx: ${index + 1} (다운로드: ${counters.itemsDownloaded}, 스킵: ${counters.itemsSkipped || 0})\n경과: ${fmtElapsed(Date.now()-startTs)}\n현재: ${date}-${title} (text)`);
-  counters.itemsDownloaded++;
+  if (!run.paused) await setStored('lastProgress', { mode: type.mode, done: true, downloaded: counters.itemsDownloaded });
+  if (!stopRequested && !counters.errors && (await coversEverything(run, targets))) await recordSuccessfulRun(type.mode, startTs);
+  await recordRunHistory(run, rootSeg, targets);
+  if (run.paused) {
+    await setProgress(`일시정지됨 (${elapsed})`);
+    await endProgress('paused');
+    return;
+  }
+  await setProgress(stopRequested ? `중단됨 (${elapsed})` : `완료 (${elapsed})`);
+  await endProgress(stopRequested ? 'stopped' : counters.errors ? 'partial' : 'done');
+}
 
-  const label = `${date}-${title} (id=${report.id})`;
+// Paused job: everything startDownload needs to carry on later, kept in local storage so it outlives the popup,
+// the service worker and a browser restart. One per board (`pausedJob:<mode>`); a new pause of the same board
+// replaces it. Older versions kept a single one under `pausedJob`.
+const PAUSED_JOB_KEY = 'pausedJob';
 
-  const textRes = await safeDownload(
-    'text 저장',
-    `알림장: ${label}\n파일: text.txt`,
-    () => downloadTextFile(`${dirBase}/text.txt`, report.content || ''),
-    () => downloadTextFile(`${dirFallback}/text.txt`, report.content || '')
-  );
-  if (!textRes.ok) { counters.errors++; return { ok: false, error: textRes.error }; }
+function pausedJobKey(mode) {
+  return `${PAUSED_JOB_KEY}:${mode}`;
+}
 
-  const pad = (n) => String(n).padStart(3, '0');
+async function loadPausedJobs() {
+  // Most recently paused first.
+  const all = await chrome.storage.local.get(null);
+  return Object.entries(all)
+    .filter(([key, job]) => key.startsWith(`${PAUSED_JOB_KEY}:`) && CONTENT_TYPES[job?.mode])
+    .map(([, job]) => job)
+    .sort((a, b) => (b.pausedAt || 0) - (a.pausedAt || 0));
+}
 
-  const images = (report.attached_images || []).map(pickBestReportImageUrl).filter(Boolean);
-  for (const [i, url] of images.entries()) {
-    if (stopRequested) break;
-    const ext = (new URL(url)).pathname.split('.').pop() || 'jpg';
-    await setProgress(`Idx: ${index + 1} (다운로드: ${counters.itemsDownloaded}, 스킵: ${counters.itemsSkipped || 0})\n경과: ${fmtElapsed(Date.now()-startTs)}\n현재: ${date}-${title} photo ${i + 1}/${images.length}`);
-    const filenameBase = `${dirBase}/photos/${pad(i + 1)}.${ext}`;
-    const filenameFallback = `${dirFallback}/photos/${pad(i + 1)}.${ext}`;
-    const r = await safeDownload(
-      'photo 다운로드',
-      `알림장: ${label}\n파일: photos/${pad(i + 1)}.${ext}`,
-      () => downloadUrl(filenameBase, url),
-      () => downloadUrl(filenameFallback, url)
-    );
-    if (!r.ok) { counters.errors++; return { ok: false, error: r.error }; }
-    counters.photosDownloaded++;
-    await sleep(80);
-  }
-
-  const videos = getReportVideoUrls(report);
-  for (const [i, url] of videos.entries()) {
-    if (stopRequested) break;
-    const ext = (new URL(url)).pathname.split('.').pop() || 'mp4';
-    await setProgress(`Idx: ${index + 1} (다운로드: ${counters.itemsDownloaded}, 스킵: ${counters.itemsSkipped || 0})\n경과: ${fmtElapsed(Date.now()-startTs)}\n현재: ${date}-${title} video ${i + 1}/${videos.length}`);
-    const filenameBase = `${dirBase}/videos/${pad(i + 1)}.${ext}`;
-    const filenameFallback = `${dirFallback}/videos/${pad(i + 1)}.${ext}`;
-    const r = await safeDownload(
-      'video 다운로드',
-      `알림장: ${label}\n파일: videos/${pad(i + 1)}.${ext}`,
-      () => downloadUrl(filenameBase, url),
-      () => downloadUrl(filenameFallback, url)
-    );
-    if (!r.ok) { counters.errors++; return { ok: false, error: r.error }; }
-    counters.videosDownloaded++;
-    await sleep(120);
+async function migratePausedJob() {
+  const legacy = await getStored(PAUSED_JOB_KEY, null);
+  if (!legacy) return;
+  if (CONTENT_TYPES[legacy.mode] && !(await getStored(pausedJobKey(legacy.mode), null))) {
+    await setStored(pausedJobKey(legacy.mode), legacy);
   }
+  await chrome.storage.local.remove(PAUSED_JOB_KEY);
+}
 
-  const files = getReportFiles(report);
-  for (const [i, f] of files.entries()) {
-    if (stopRequested) break;
-    const url = f.url;
-    const baseName = sanitizeSegment(f.name || `file_${pad(i + 1)}`, 60);
-    const urlExt = extractUrlExtension(url);
-    const fname = (urlExt && !hasFileLikeExtension(baseName)) ? `${baseName}.${urlExt}` : baseName;
-    await setProgress(`Idx: ${index + 1} (다운로드: ${counters.itemsDownloaded}, 스킵: ${counters.itemsSkipped || 0})\n경과: ${fmtElapsed(Date.now()-startTs)}\n현재: ${date}-${title} file ${i + 1}/${files.length}`);
-    const filenameBase = `${dirBase}/files/${fname}`;
-    const filenameFallback = `${dirFallback}/files/${fname}`;
-    const r = await safeDownload(
-      'file 다운로드',
-      `알림장: ${label}\n파일: files/${fname}`,
-      () => downloadUrl(filenameBase, url),
-      () => downloadUrl(filenameFallback, url)
-    );
-    if (!r.ok) { counters.errors++; return { ok: false, error: r.error }; }
-    counters.filesDownloaded++;
-    await sleep(80);
+function jobSnapshot(run, { failures = true } = {}) {
+  // Checkpoints leave out the failure list (up to MAX_FAILED_ENTRIES entries, text bodies included); a run picked
+  // up from one keeps its error count but lists only the failures after that point.
+  const { type, tabId, root, filters, options, range, startTs, clockTs, counters, position, resumeAt, picked, recoveries } = run;
+  // Cloned: a ZIP keeps the snapshot from when it was opened while the run goes on changing these.
+  return structuredClone({
+    mode: type.mode, label: type.label, tabId, root, filters, options, range, startTs,
+    activeMs: Date.now() - clockTs, counters: failures ? counters : { ...counters, failures: [] },
+    position: position || resumeAt, pickedLeft: picked ? picked.left : null, recoveries,
+  });
+}
+
+async function savePausedJob(run) {
+  await setStored(pausedJobKey(run.type.mode), { ...jobSnapshot(run), pausedAt: Date.now() });
+}
+
+// Job checkpoint: the running download's snapshot in local storage, so a run Chrome shut the worker down in the
+// middle of can be picked up again (see recoverOrphanedJob). Items and media files only mark it stale; a timer
+// writes it at most every CHECKPOINT_MS, so a long run costs one small write per few seconds, not one per file.
+const ACTIVE_JOB_KEY = 'activeJob';
+const CHECKPOINT_MS = 5000;
+let checkpointTimer = null;
+let checkpointStale = false;
+
+function checkpointJob() {
+  checkpointStale = true;
+}
+
+async function writeCheckpoint() {
+  if (!activeRun) return;
+  checkpointStale = false;
+  await setStored(ACTIVE_JOB_KEY, { ...(activeZip?.checkpoint || jobSnapshot(activeRun, { failures: false })), checkpointAt: Date.now() });
+}
+
+async function startCheckpoints(run) {
+  activeRun = run;
+  await writeCheckpoint();
+  clearInterval(checkpointTimer);
+  checkpointTimer = setInterval(() => {
+    if (checkpointStale) void writeCheckpoint();
+  }, CHECKPOINT_MS);
+}
+
+async function stopCheckpoints() {
+  activeRun = null;
+  clearInterval(checkpointTimer);
+  checkpointTimer = null;
+  await chrome.storage.local.remove(ACTIVE_JOB_KEY);
+}
+
+// Run history: one entry per download run (newest first) in local storage, so it outlives the session-only report.
+const RUN_HISTORY_KEY = 'runHistory';
+const MAX_RUN_HISTORY = 200;
+
+async function recordRunHistory(run, rootSeg, targets, error = '') {
+  const { type, options, range, startTs, counters } = run;
+  const endTs = Date.now();
+  const entry = {
+    // A resumed run keeps its startTs, so the end time tells its rows apart.
+    id: `${startTs}-${type.mode}-${endTs}`,
+    mode: type.mode,
+    trigger: options?.scheduled ? 'schedule' : 'manual',
+    root: rootSeg,
+    children: targets.map((t) => t.name || t.childId),
+    range: range.text,
+    startTs,
+    endTs,
+    status: error ? 'error' : run.paused ? 'paused' : (stopRequested ? 'stopped' : (counters.errors ? 'partial' : 'ok')),
+    counts: {
+      items: counters.itemsDownloaded,
+      upToDate: counters.itemsUpToDate,
+      filtered: counters.filteredOut,
+      photos: counters.photosDownloaded,
+      videos: counters.videosDownloaded,
+      files: counters.filesDownloaded,
+      comments: counters.commentsSaved || 0,
+      zips: counters.zipsSaved || 0,
+      bytes: counters.bytesDownloaded,
+    },
+    errors: counters.errors,
+    lastError: error || counters.lastError,
+  };
+  const history = await getStored(RUN_HISTORY_KEY, []);
+  await setStored(RUN_HISTORY_KEY, [entry, ...(Array.isArray(history) ? history : [])].slice(0, MAX_RUN_HISTORY));
+}
+
+// Failed downloads: each mode keeps the failures of its last run (stored with enough to redo each file on its own)
+// and <root>/errors.csv lists them. The popup's retry button redoes just those files, without paging the API again.
+const FAILED_DOWNLOADS_KEY = 'failedDownloads';
+const ERRORS_CSV_COLUMNS = ['time', 'mode', 'kind', 'item_id', 'label', 'filename', 'url', 'error'];
+const DOC_LEDGER_FLAGS = { 'index.html': 'page', 'meta.json': 'meta', 'comments.txt': 'comments' };
+
+function csvCell(value) {
+  let s = String(value ?? '');
+  // Keep spreadsheet apps from evaluating titles such as "=..." as formulas.
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function errorsCsv(all, rootSeg) {
+  const rows = [ERRORS_CSV_COLUMNS];
+  for (const [mode, entry] of Object.entries(all)) {
+    if (entry?.rootSeg !== rootSeg) continue;
+    for (const f of entry.items || []) {
+      rows.push([new Date(f.at).toISOString(), mode, f.kind, f.itemId, f.label, f.filename, f.url, f.error]);
+    }
+    if (entry.unlisted) {
+      rows.push([new Date(entry.ts).toISOString(), mode, 'unlisted', '', '', '', '', `실패 ${entry.unlisted}건은 이 목록에 없습니다 (동기화로 다시 받기)`]);
+    }
   }
+  // BOM so Excel reads the Korean titles as UTF-8.
+  return `\uFEFF${rows.map((r) => r.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
 
-  return { ok: true };
+async function writeErrorsCsv(all, rootSeg) {
+  const r = await safeDownload('errors.csv 저장', `파일: ${rootSeg}/errors.csv`,
+    () => downloadDocFile(`${rootSeg}/errors.csv`, 'text/csv', errorsCsv(all, rootSeg)));
+  return r.ok;
 }
 
-async function startDownloadReports(tabId, root, filters) {
+async function saveFailedDownloads(mode, rootSeg, failures, unlisted = 0) {
+  // Returns whether errors.csv was written. A clean run still rewrites an existing list so it doesn't go stale.
+  const all = await getStored(FAILED_DOWNLOADS_KEY, {});
+  const hadList = all[mode]?.rootSeg === rootSeg;
+  if (failures.length || unlisted) all[mode] = { rootSeg, ts: Date.now(), items: failures, unlisted };
+  else delete all[mode];
+  await setStored(FAILED_DOWNLOADS_KEY, all);
+  if (!failures.length && !unlisted && !hadList) return false;
+  return writeErrorsCsv(all, rootSeg);
+}
+
+function failureRedo(tabId, f) {
+  // (filename) => download for entries that can be redone on their own; null for e.g. a ZIP that couldn't be
+  // saved (its items were dropped from the ledger, so the next sync run rebuilds it).
+  if (f.url && MEDIA_COUNTER_KEYS[f.kind]) return (name) => saveMedia(name, { url: f.url, exif: f.exif });
+  if (f.kind === 'text') return (name) => downloadTextFile(name, f.body);
+  if (f.kind === 'doc') return (name) => downloadDocFile(name, f.mime, f.body);
+  if (f.kind === 'comments') {
+    // Goes through the page relay, so it needs that board's page open in `tabId`.
+    return async (name) => {
+      const comments = await fetchCommentsViaTab(tabId, f.url);
+      if (!comments.length) return { state: 'complete', bytes: 0 };
+      return downloadDocFile(name, 'text/plain', formatComments(comments));
+    };
+  }
+  return null;
+}
+
+function ledgerMarkRetried(ledger, f) {
+  if (f.itemId == null) return;
+  if (MEDIA_COUNTER_KEYS[f.kind]) ledgerMarkMedia(ledger, f.itemId, f.url);
+  else if (f.kind === 'text') ledgerMarkText(ledger, f.itemId);
+  else if (f.kind === 'comments') ledgerMarkFlag(ledger, f.itemId, 'comments');
+  else if (f.kind === 'doc') {
+    const flag = DOC_LEDGER_FLAGS[f.filename.split('/').pop()];
+    if (flag) ledgerMarkFlag(ledger, f.itemId, flag);
+  }
+}
+
+async function retryFailedDownloads(tabId) {
   stopRequested = false;
   await setStored('stopRequested', false);
   await setFinalReport('');
 
   const startTs = Date.now();
-  const rangeText = (filters?.fromYm || filters?.toYm)
-    ? `${filters?.fromYm || '...'} ~ ${filters?.toYm || '...'}`
-    : '전체';
-  await setProgress(`시작(알림장): root=${sanitizeSegment(root)} / 기간=${rangeText}`);
+  const all = await getStored(FAILED_DOWNLOADS_KEY, {});
+  const counters = { bytesDownloaded: 0, errors: 0, lastError: '', failures: [] };
+  const roots = new Set();
+  let fixed = 0;
+  let notRetryable = 0;
+  let unlisted = 0;
+  let attempted = 0;
+  await beginProgress('retrying', null, startTs);
+  await updateProgress({ items: { done: 0, total: Object.values(all).reduce((n, e) => n + (e?.items?.length || 0), 0) } });
+
+  for (const [mode, entry] of Object.entries(all)) {
+    const type = CONTENT_TYPES[mode];
+    unlisted += entry?.unlisted || 0;
+    if (!type || !entry?.items?.length) {
+      if (entry?.unlisted) {
+        roots.add(entry.rootSeg);
+        delete all[mode];
+      }
+      continue;
+    }
+    roots.add(entry.rootSeg);
+    const ledger = await loadLedger(mode, true);
+    const remaining = [];
+    for (const [i, f] of entry.items.entries()) {
+      const redo = failureRedo(tabId, f);
+      if (stopRequested || !redo) {
+        if (!redo) notRetryable++;
+        remaining.push(f);
+        continue;
+      }
+      await setProgress(`실패 항목 재시도(${type.label}) ${i + 1}/${entry.items.length}\n파일: ${f.filename}`);
+      await updateProgress({ mode, label: type.label, item: { id: f.itemId, date: '', title: f.filename } });
+      const r = await safeDownload(`${f.kind} 재시도`, `${type.label}: ${f.label}\n파일: ${f.filename}`,
+        () => redo(f.filename), f.fallback ? () => redo(f.fallback) : null);
+      if (r.ok) {
+        fixed++;
+        counters.bytesDownloaded += r.value?.bytes || 0;
+        ledgerMarkRetried(ledger, f);
+      } else {
+        remaining.push({ ...f, error: r.error, at: Date.now() });
+        counters.errors++;
+        counters.lastError = `${f.label} / ${f.filename}: ${r.error}`;
+      }
+      await updateProgress({ items: { ...progressState.items, done: ++attempted }, bytes: counters.bytesDownloaded });
+    }
+    // Items with nothing left on the list are complete now, so sync runs can skip them.
+    const stillFailing = new Set(remaining.map((f) => String(f.itemId)));
+    for (const f of entry.items) {
+      if (f.itemId != null && !stillFailing.has(String(f.itemId)) && ledgerEntry(ledger, f.itemId)) ledgerMarkDone(ledger, f.itemId);
+    }
+    await saveLedger(ledger);
+    // The list's missing failures were reported once here; what's left to retry is just the remaining entries.
+    if (remaining.length) all[mode] = { ...entry, items: remaining, unlisted: 0 };
+    else delete all[mode];
+  }
 
-  const counters = { itemsDownloaded: 0, itemsSkipped: 0, photosDownloaded: 0, videosDownloaded: 0, filesDownloaded: 0, errors: 0, lastError: '' };
+  await setStored(FAILED_DOWNLOADS_KEY, all);
+  for (const rootSeg of roots) await writeErrorsCsv(all, rootSeg);
 
-  const { childId, baseUrl, defaultQuery } = await getReportApiInfo(tabId);
-  const pageSize = 100;
-  const tz = 'Asia/Seoul';
+  const elapsed = fmtElapsed(Date.now()-startTs);
+  const leftCount = Object.values(all).reduce((n, e) => n + (e.items?.length || 0), 0);
+  const zipPart = notRetryable ? `\n- ZIP 저장 실패: ${notRetryable}건 (동기화로 다시 받기)` : '';
+  const unlistedPart = unlisted ? `\n- 목록에 없어 재시도하지 못한 실패: ${unlisted}건 (동기화로 다시 받기)` : '';
+  const errPart = counters.errors ? `\n마지막: ${counters.lastError}` : '';
+  await setFinalReport(`결과(실패 항목 재시도):\n- 다시 받음: ${fixed}개\n- 남은 실패: ${leftCount}건${zipPart}${unlistedPart}\n- 저장 용량: ${fmtBytes(counters.bytesDownloaded)}${errPart}\n- 총 소요: ${elapsed}`);
+  await setProgress(stopRequested ? `중단됨 (${elapsed})` : `완료 (${elapsed})`);
+  await endProgress(stopRequested ? 'stopped' : leftCount ? 'partial' : 'done');
+}
 
-  let pageToken = null;
-  let seenTokens = new Set();
+// Dry-run preview: pages through the same list API with the same filters, but never queues a download.
+const PREVIEW_SIZE_SAMPLES = 60;
 
-  const firstUrl = buildPagedApiUrl(baseUrl, defaultQuery, { childId, pageSize, tz });
-  const first = await fetchReportsJsonViaTab(tabId, firstUrl);
-  const total = (typeof first.count === 'number' && first.count > (first.results?.length || 0)) ? first.count : null;
+function previewMedia(type, item) {
+  const media = type.mediaOf(item);
+  return { ...media, file: media.file.map((f) => f.url) };
+}
 
-  let processed = 0;
-  let doneRange = false;
+async function headContentLength(url) {
+  try {
+    assertAllowedDownloadUrl(url);
+    const r = await fetch(url, { method: 'HEAD' });
+    const n = Number(r.headers.get('content-length'));
+    return r.ok && n > 0 ? n : null;
+  } catch {
+    return null;
+  }
+}
+
+async function estimateAverageSizes(urlsByType, parallel) {
+  // HEAD an evenly spread sample per type and extrapolate; a HEAD per file would take as long as downloading.
+  const avg = {};
+  let sampled = 0;
+  for (const [type, urls] of Object.entries(urlsByType)) {
+    if (!urls.length || stopRequested) continue;
+    const step = Math.max(1, Math.floor(urls.length / PREVIEW_SIZE_SAMPLES));
+    const sample = urls.filter((_, i) => i % step === 0).slice(0, PREVIEW_SIZE_SAMPLES);
+    const sizes = [];
+    await runPool(sample, clampParallel(parallel), async (url) => {
+      const n = await headContentLength(url);
+      if (n) sizes.push(n);
+    });
+    if (sizes.length) avg[type] = sizes.reduce((a, b) => a + b, 0) / sizes.length;
+    sampled += sizes.length;
+  }
+  return { avg, sampled };
+}
 
-  const fromYm = filters?.fromYm || '';
-  const toYm = filters?.toYm || '';
+async function startPreview(type, tabId, filters, options) {
+  stopRequested = false;
+  await setStored('stopRequested', false);
+  await setFinalReport('');
 
-  function inRange(ym) {
-    return !(fromYm || toYm) || ymInRange(ym, fromYm, toYm);
+  const startTs = Date.now();
+  await beginProgress('scanning', type, startTs);
+  const { mode, label: kindLabel } = type;
+  const range = await resolveDateRange(filters, mode);
+  await setProgress(`미리보기(${kindLabel}) 시작: 기간=${range.text}`);
+
+  const api = await getApiInfo(tabId, type);
+  const targets = resolveChildTargets(api, options?.children, type.listUrl);
+  const picked = pickedItems(options, mode);
+  const contentFilter = contentFilterFrom(filters, mode);
+  const types = mediaTypesFrom(options);
+
+  const months = new Map();
+  const urls = { photo: [], video: [], file: [] };
+  let scanned = 0;
+  let matched = 0;
+
+  for (const [index, target] of targets.entries()) {
+    await updateProgress({ child: { index, count: targets.length, name: target.name || '' } });
+    const seenTokens = new Set();
+    let pageToken = null;
+    for (let i = 0; i < 5000 && !stopRequested; i++) {
+      const url = buildPagedApiUrl(target.baseUrl, api.defaultQuery, { childId: target.childId, pageSize: LIST_PAGE_SIZE, tz: LIST_TZ, pageToken });
+      const j = await fetchListJsonViaTab(tabId, type, url);
+      let doneRange = false;
+      for (const item of j.results || []) {
+        scanned++;
+        const date = String(type.createdOf(item)).slice(0, 10);
+        // Same newest->oldest early exit as the download pipeline.
+        if (range.from && date && date < range.from) { doneRange = true; break; }
+        if ((range.from || range.to) && !dateInRange(date, range)) continue;
+        if (picked && !picked.ids.has(String(item.id))) continue;
+        if (!matchesContentFilter(item, contentFilter)) continue;
+        const media = previewMedia(type, item);
+        // Same rule as the pipelines: nothing left to save once excluded types are dropped.
+        if (!types.text && !Object.keys(urls).some((kind) => types[kind] && media[kind].length)) continue;
+        matched++;
+        const ym = date.slice(0, 7) || '날짜 없음';
+        if (!months.has(ym)) months.set(ym, { items: 0, photo: 0, video: 0, file: 0 });
+        const m = months.get(ym);
+        m.items++;
+        for (const kind of Object.keys(urls)) {
+          if (!types[kind]) continue;
+          m[kind] += media[kind].length;
+          urls[kind].push(...media[kind]);
+        }
+      }
+      const sampleYm = String(type.createdOf(j.results?.[0] || {})).slice(0, 7);
+      await updateProgress({ items: { done: scanned, total: null } });
+      await setProgress(`${target.name ? `[${target.name}] ` : ''}미리보기(${kindLabel}) 탐색 중… 경과 ${fmtElapsed(Date.now()-startTs)}\n확인: ${scanned}개, 해당: ${matched}개 현재:${sampleYm || '?'} 목표:${range.text}`);
+      pageToken = j.next;
+      if (doneRange || !pageToken || seenTokens.has(pageToken)) break;
+      seenTokens.add(pageToken);
+    }
   }
 
-  async function handleResults(results) {
-    for (const r of results || []) {
-      if (stopRequested) { doneRange = true; break; }
-      const created = r.created || r.date_written || '';
-      const ym = String(created).slice(0, 7) || '';
+  await setProgress(`미리보기(${kindLabel}) 용량 확인 중… (HEAD 표본 최대 ${PREVIEW_SIZE_SAMPLES}개/종류)`);
+  const { avg, sampled } = await estimateAverageSizes(urls, options?.parallel);
+  const estimate = (m) => Object.keys(urls).reduce((sum, kind) => sum + (avg[kind] || 0) * m[kind], 0);
+  const counts = (m) => [
+    `${kindLabel} ${m.items}`,
+    `사진 ${m.photo}`,
+    `동영상 ${m.video}`,
+    ...(type.hasFiles ? [`파일 ${m.file}`] : []),
+  ].join(' · ');
+
+  const total = { items: matched, photo: urls.photo.length, video: urls.video.length, file: urls.file.length };
+  const monthLines = [...months.entries()]
+    .sort((a, b) => b[0].localeCompare(a[0]))
+    .map(([ym, m]) => `- ${ym}: ${counts(m)}${sampled ? ` · ~${fmtBytes(estimate(m))}` : ''}`);
+  const sizeLine = sampled
+    ? `예상 용량: ~${fmtBytes(estimate(total))} (HEAD 표본 ${sampled}개 기준)`
+    : '예상 용량: 알 수 없음 (CDN이 파일 크기를 알려주지 않음)';
+  const childPart = targets.length > 1 ? `\n- 아이: ${targets.map((t) => t.name).join(', ')}` : '';
+  const elapsed = fmtElapsed(Date.now()-startTs);
+  await setFinalReport(`미리보기(${kindLabel}): 기간=${range.text}${childPart}\n${monthLines.join('\n') || '- 해당 항목 없음'}\n합계: ${counts(total)}\n${sizeLine}\n(다운로드는 하지 않았습니다)`);
+  await setProgress(stopRequested ? `미리보기 중단됨 (${elapsed})` : `미리보기 완료 (${elapsed})`);
+  await endProgress(stopRequested ? 'stopped' : 'done');
+}
 
-      if (toYm && ym && ym > toYm) { counters.itemsSkipped++; processed++; continue; }
-      if (fromYm && ym && ym < fromYm) { doneRange = true; break; }
-      if (!inRange(ym)) { counters.itemsSkipped++; processed++; continue; }
+// Item list for the popup picker. Pages are fetched on demand; `cursor` walks children in order.
+const LIST_ITEMS_BATCH = 50;
 
-      const res = await downloadReportFromApi(root, r, processed, total ?? '?', filters, startTs, counters);
-      if (!res?.ok) {
-        counters.lastError = res.error || 'unknown';
-        doneRange = true;
-        break;
-      }
-      processed++;
-      await sleep(80);
+function listThumbUrl(item) {
+  const img = (item.attached_images || [])[0];
+  return img?.small_resize || img?.small || img?.large_resize || img?.large || img?.original || '';
+}
+
+async function listItemsPage(type, tabId, filters, options, cursor) {
+  const range = await resolveDateRange(filters, type.mode);
+  const api = await getApiInfo(tabId, type);
+  const targets = resolveChildTargets(api, options?.children, type.listUrl);
+  const contentFilter = contentFilterFrom(filters, type.mode);
+
+  const items = [];
+  let target = Number(cursor?.target) || 0;
+  let pageToken = cursor?.token || null;
+  // Keep fetching until there's something to show, so a narrow date range doesn't return empty pages.
+  for (let i = 0; i < 50 && target < targets.length && items.length < LIST_ITEMS_BATCH; i++) {
+    const t = targets[target];
+    const url = buildPagedApiUrl(t.baseUrl, api.defaultQuery, { childId: t.childId, pageSize: LIST_PAGE_SIZE, tz: LIST_TZ, pageToken });
+    const j = await fetchListJsonViaTab(tabId, type, url);
+    let doneRange = false;
+    for (const item of j.results || []) {
+      const date = String(type.createdOf(item)).slice(0, 10);
+      if (range.from && date && date < range.from) { doneRange = true; break; }
+      if ((range.from || range.to) && !dateInRange(date, range)) continue;
+      if (!matchesContentFilter(item, contentFilter)) continue;
+      const media = previewMedia(type, item);
+      items.push({
+        id: String(item.id),
+        date,
+        title: [...new Set([type.titleOf(item), type.subtitleOf(item)].filter(Boolean))].join(' · '),
+        child: t.name || '',
+        thumb: listThumbUrl(item),
+        photos: media.photo.length,
+        videos: media.video.length,
+        files: media.file.length,
+      });
     }
+    pageToken = doneRange ? null : (j.next || null);
+    if (!pageToken) target++;
+  }
+  const next = target < targets.length ? { target, token: pageToken } : null;
+  return { items, next, rangeText: range.text };
+}
+
+async function ensureServicePage(tabId, type) {
+  // 1) Ensure we're on the list page.
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.url?.startsWith(type.page)) {
+    await chrome.tabs.update(tabId, { url: type.page });
+    await sleep(1200);
+  }
+
+  // 2) Force reload so content scripts attach after extension reloads.
+  await chrome.tabs.reload(tabId);
+  await sleep(1500);
+
+  // 3) Verify content script is reachable.
+  let pingOk = false;
+  for (let i = 0; i < 10; i++) {
+    try {
+      const res = await chrome.tabs.sendMessage(tabId, { kind: type.ping });
+      if (res?.ok) { pingOk = true; break; }
+    } catch {}
+    await sleep(400);
+  }
+  if (!pingOk) {
+    // An expired session redirects to the login page, where our content scripts don't run.
+    const now = await chrome.tabs.get(tabId).catch(() => null);
+    if (now?.url && !now.url.startsWith(type.page)) throw new Error('LOGIN_REQUIRED');
+    throw new Error('CONTENT_SCRIPT_NOT_READY');
+  }
 
-    if (fromYm || toYm) {
-      const sampleYm = String(results?.[0]?.created || results?.[0]?.date_written || '').slice(0, 7);
-      await setProgress(`탐색/다운로드(알림장) 중… 경과 ${fmtElapsed(Date.now()-startTs)}\nIdx:${processed} (다운로드:${counters.itemsDownloaded}, 스킵:${counters.itemsSkipped}) 현재:${sampleYm || '?'} 목표:${rangeText}`);
+  // 4) Verify we can detect the API.
+  let api;
+  try {
+    api = await getApiInfo(tabId, type);
+  } catch (e) {
+    const session = await chrome.tabs.sendMessage(tabId, { kind: 'CHECK_LOGIN' }).catch(() => null);
+    if (session && !session.loggedIn) throw new Error('LOGIN_REQUIRED');
+    throw e;
+  }
+  await setStored(type.scanKey, { childId: api.childId, baseUrl: api.baseUrl, ts: Date.now() });
+  return api;
+}
+
+// Scheduled background sync: an opt-in daily alarm runs an incremental album + report download.
+const SYNC_ALARM = 'kidsnote-sync';
+
+function nextScheduledTime(hour) {
+  const next = new Date();
+  next.setHours(hour, 0, 0, 0);
+  if (next.getTime() <= Date.now()) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+async function applySchedule() {
+  const schedule = await getStored('schedule', {});
+  await chrome.alarms.clear(SYNC_ALARM);
+  if (!schedule?.enabled) return null;
+  const hour = Math.min(23, Math.max(0, Math.floor(Number(schedule.hour)) || 0));
+  const when = nextScheduledTime(hour);
+  await chrome.alarms.create(SYNC_ALARM, { when, periodInMinutes: 24 * 60 });
+  return when;
+}
+
+async function setSyncStatus(state, message, extra = {}) {
+  await setStored('syncStatus', { state, message, ts: Date.now(), ...extra });
+  await showSyncBadge();
+}
+
+async function showSyncBadge() {
+  // The toolbar badge is the only signal when nobody opens the popup (a running job shows its percentage instead).
+  if (progressState && RUNNING_PHASES.has(progressState.phase)) return;
+  const state = (await getStored('syncStatus', null))?.state;
+  if (state === 'login' || state === 'error') {
+    await chrome.action.setBadgeBackgroundColor({ color: state === 'login' ? '#f59e0b' : '#dc2626' });
+    await chrome.action.setBadgeText({ text: '!' });
+    await chrome.action.setTitle({ title: state === 'login' ? 'Kidsnote Downloader: 로그인 필요' : 'Kidsnote Downloader: 자동 동기화 실패' });
+  } else {
+    await chrome.action.setBadgeText({ text: '' });
+    await chrome.action.setTitle({ title: 'Kidsnote Downloader' });
+  }
+}
+
+async function openSyncTab() {
+  // A background tab of its own: ensureServicePage navigates and reloads the tab it's given, which would take
+  // over whatever kidsnote page the user has open.
+  const tab = await chrome.tabs.create({ url: CONTENT_TYPES.album.page, active: false });
+  return tab.id;
+}
+
+const SYNC_TYPES = [CONTENT_TYPES.album, CONTENT_TYPES.report];
+
+async function runScheduledSync(resumed = null) {
+  // resumed: { tabId, job } when a scheduled sync that was paused or cut off goes on (see resumeJob). It picks up
+  // the board it stopped on, then runs the boards after it; options.scheduled.boards has the ones already done.
+  const job = resumed?.job || null;
+  if (!job && downloadRunning) {
+    await setSyncStatus('busy', '다른 다운로드가 진행 중이라 이번 자동 동기화는 건너뛰었습니다.');
+    return;
+  }
+  await setDownloadRunning(true);
+  let tabId = resumed?.tabId || null;
+  // Resumed from the popup in some other tab: that one isn't ours to close.
+  let ownTab = !job || tabId === job.tabId;
+  let keepTab = false;
+  try {
+    const status = job ? null : await getStored('syncStatus', null);
+    if (status?.state === 'login') {
+      // Logged out last time: go again in the login tab left open then, or else any kidsnote tab, rather than
+      // opening one more tab every night until someone logs in.
+      const left = status.tabId ? await chrome.tabs.get(status.tabId).catch(() => null) : null;
+      const [existing] = left ? [left] : await chrome.tabs.query({ url: 'https://www.kidsnote.com/*' });
+      if (!existing) throw new Error('LOGIN_REQUIRED');
+      tabId = existing.id;
+      ownTab = existing.id === status.tabId;
+    } else if (!tabId) {
+      tabId = await openSyncTab();
     }
+    // Always incremental, and never limited to items picked in the popup.
+    const options = job ? job.options : { ...(await getStored('downloadOptions', {})), sync: true, pick: null };
+    const boards = Array.isArray(options.scheduled?.boards) ? options.scheduled.boards : [];
+    options.scheduled = { boards };
+    const roots = await getStored('lastRoots', {});
+    const from = job ? Math.max(0, SYNC_TYPES.findIndex((type) => type.mode === job.mode)) : 0;
+    for (const type of SYNC_TYPES.slice(from)) {
+      if (stopRequested) break;
+      await ensureServicePage(tabId, type);
+      if (job?.mode === type.mode) await startDownload(type, tabId, job.root, job.filters, options, job);
+      else await startDownload(type, tabId, roots[type.mode] || type.defaultRoot, { preset: 'sinceLastRun' }, options);
+      boards.push({ mode: type.mode, report: finalReportMemory, phase: progressState?.phase });
+    }
+    // Each board's final progress phase (done / partial / stopped / paused); the worst one is the sync's status.
+    const phases = boards.map((board) => board.phase);
+    const state = ['paused', 'stopped', 'partial'].find((phase) => phases.includes(phase)) || (stopRequested ? 'stopped' : 'ok');
+    await setSyncStatus(state, boards.map((board) => board.report).join('\n\n'));
+  } catch (e) {
+    const err = String(e?.message || e);
+    console.error(e);
+    if (err === 'LOGIN_REQUIRED') {
+      // Leave the login page open so it's right there when someone looks.
+      keepTab = true;
+      await endProgress('error', err);
+      await setSyncStatus('login', '키즈노트 로그인이 만료되었습니다. 로그인하면 다음 예약 시간에 다시 받습니다.', ownTab && tabId ? { tabId } : {});
+      await setProgress('🔒 자동 동기화: 로그인 필요');
+    } else {
+      await setProgress(`❌ 자동 동기화 실패: ${err}`);
+      await endProgress('error', err);
+      await setSyncStatus('error', err);
+    }
+  } finally {
+    await discardZip();
+    if (tabId && ownTab && !keepTab) await chrome.tabs.remove(tabId).catch(() => {});
+    await setDownloadRunning(false);
   }
+}
 
-  await handleResults(first.results);
-  pageToken = first.next;
+async function rememberRoot(mode, root) {
+  // Scheduled runs reuse the root last used for each mode.
+  const roots = await getStored('lastRoots', {});
+  roots[mode] = root;
+  await setStored('lastRoots', roots);
+}
 
-  for (let i = 0; i < 5000; i++) {
-    if (!pageToken) break;
-    if (seenTokens.has(pageToken)) break;
-    seenTokens.add(pageToken);
-    if (doneRange) break;
+// Continues a paused or interrupted job in the background; the paused entry stays until startDownload picks it up,
+// so a failure here (e.g. the session expired) leaves it resumable.
+async function resumeJob(type, tabId, job) {
+  await setDownloadRunning(true);
+  if (job.options?.scheduled) {
+    // The rest of a scheduled sync, down to its status line.
+    void runScheduledSync({ tabId, job });
+    return;
+  }
+  ensureServicePage(tabId, type)
+    .then(() => startDownload(type, tabId, job.root, job.filters, job.options, job))
+    .catch(async (e) => {
+      const err = String(e?.message || e);
+      console.error(e);
+      await setProgress(`❌ 이어받기 실패: ${err}`);
+      await endProgress('error', err);
+    })
+    .finally(async () => {
+      await discardZip();
+      await setDownloadRunning(false);
+    });
+}
 
-    const url = buildPagedApiUrl(baseUrl, defaultQuery, { childId, pageSize, tz, pageToken });
-    const j = await fetchReportsJsonViaTab(tabId, url);
-    await handleResults(j.results);
-    pageToken = j.next;
+// Worker restarts: Chrome can shut the worker down mid-run (idle timeout, extension update, crash), which loses the
+// loop and leaves `downloadRunning` and the job checkpoint behind. A download interrupted a moment ago in a tab that's
+// still open continues by itself (a few times at most, in case it's the job that keeps taking the worker down);
+// anything else becomes a paused job for the popup's resume button.
+const AUTO_RECOVER_MAX = 3;
+const AUTO_RECOVER_WINDOW_MS = 10 * 60 * 1000;
+
+async function recoverOrphanedJob() {
+  const session = chrome.storage?.session ? await chrome.storage.session.get(['downloadRunning', 'progress']) : {};
+  const job = await getStored(ACTIVE_JOB_KEY, null);
+  if (session.downloadRunning !== true && !job) return;
+  await chrome.storage.local.remove(ACTIVE_JOB_KEY);
+  // Lets endProgress finish the stale progress, so the popup and the toolbar stop showing a running job.
+  progressState = session.progress || null;
+
+  const type = CONTENT_TYPES[job?.mode];
+  if (!type) {
+    // A preview or a retry of failed files: nothing to pick up, just clear the flag.
+    await setProgress('⚠️ 작업 중 브라우저가 확장 프로그램을 멈춰 중단되었습니다. 다시 실행하세요.');
+    await endProgress('error', 'WORKER_TERMINATED');
+    await setDownloadRunning(false);
+    return;
   }
 
-  const elapsed = fmtElapsed(Date.now()-startTs);
-  const errPart = counters.errors ? `\n에러: ${counters.errors}건\n마지막: ${counters.lastError}` : '';
-  const report = `결과(알림장):\n- 글: ${counters.itemsDownloaded}개\n- 사진: ${counters.photosDownloaded}개\n- 동영상: ${counters.videosDownloaded}개\n- 파일: ${counters.filesDownloaded}개${errPart}\n- 총 소요: ${elapsed}`;
-  await setFinalReport(report);
-  await setProgress(stopRequested ? `중단됨 (${elapsed})` : `완료 (${elapsed})`);
+  await setStored(pausedJobKey(job.mode), { ...job, pausedAt: job.checkpointAt, interrupted: true });
+  const tab = job.tabId ? await chrome.tabs.get(job.tabId).catch(() => null) : null;
+  const recent = Date.now() - job.checkpointAt < AUTO_RECOVER_WINDOW_MS;
+  if (session.downloadRunning === true && tab && recent && (job.recoveries || 0) < AUTO_RECOVER_MAX) {
+    await setProgress(`⚠️ 중간에 멈춘 다운로드(${type.label})를 멈춘 곳부터 이어서 받습니다…`);
+    await resumeJob(type, job.tabId, { ...job, recoveries: (job.recoveries || 0) + 1 });
+    return;
+  }
+  await setProgress(`⚠️ 다운로드(${type.label})가 중간에 멈췄습니다. 팝업의 '이어받기'로 멈춘 곳부터 계속할 수 있습니다.`);
+  await endProgress('paused', 'WORKER_TERMINATED');
+  if (job.options?.scheduled) await setSyncStatus('paused', `${type.label} 받는 중에 멈췄습니다. 팝업의 '이어받기'로 멈춘 곳부터 계속할 수 있습니다.`);
+  await setDownloadRunning(false);
+}
+
+// Message and alarm handlers wait for this, so nothing starts while a leftover job is being sorted out.
+const recovery = migratePausedJob().then(recoverOrphanedJob).catch((e) => console.error(e));
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SYNC_ALARM) void recovery.then(runScheduledSync);
+});
+
+// Keep an existing alarm across restarts: Chrome fires a missed alarm once on startup, and re-creating it would drop that run.
+async function restoreSchedule() {
+  if (!(await chrome.alarms.get(SYNC_ALARM))) await applySchedule();
 }
 
+chrome.runtime.onInstalled.addListener(() => void restoreSchedule());
+chrome.runtime.onStartup.addListener(() => void restoreSchedule());
+
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   (async () => {
     try {
-      if (msg?.kind === 'ENSURE_ALBUM_PAGE') {
-        // 1) Ensure we're on the album list page.
-        const tab = await chrome.tabs.get(msg.tabId);
-        const isAlbum = tab.url?.startsWith('https://www.kidsnote.com/service/album');
-        if (!isAlbum) {
-          await chrome.tabs.update(msg.tabId, { url: 'https://www.kidsnote.com/service/album' });
-          await sleep(1200);
-        }
+      await recovery;
+      // ENSURE_<MODE>_PAGE / PREVIEW_<MODE> / START_DOWNLOAD_<MODE> for every board in CONTENT_TYPES.
+      const ensureType = contentTypeFromKind(msg?.kind, 'ENSURE_', '_PAGE');
+      if (ensureType) {
+        await ensureServicePage(msg.tabId, ensureType);
+        await setStored('filters', msg.filters || {});
+        const message = `준비 완료: ${ensureType.label} 페이지/세션 OK`;
+        await setProgress(message);
+        sendResponse({ ok: true, message });
+        return;
+      }
 
-        // 2) Force reload so content scripts attach after extension reloads.
-        await chrome.tabs.reload(msg.tabId);
-        await sleep(1500);
-
-        // 3) Verify content script is reachable.
-        let pingOk = false;
-        for (let i = 0; i < 10; i++) {
-          try {
-            const res = await chrome.tabs.sendMessage(msg.tabId, { kind: 'PING_KN_DL' });
-            if (res?.ok) { pingOk = true; break; }
-          } catch {}
-          await sleep(400);
+      if (msg?.kind === 'LIST_CHILDREN') {
+        // Any prepared album/report/notice tab can answer; every content script exposes the same handler.
+        const res = await chrome.tabs.sendMessage(msg.tabId, { kind: 'LIST_CHILDREN' }).catch(() => null);
+        if (!res?.ok) throw new Error(res?.error || 'PREPARE_FIRST');
+        sendResponse({ ok: true, children: res.children || [] });
+        return;
+      }
+
+      if (msg?.kind === 'LIST_ITEMS') {
+        // Read-only, so it's allowed while a download runs.
+        if (!msg.tabId) throw new Error('MISSING_TAB_ID');
+        const type = CONTENT_TYPES[msg.mode] || CONTENT_TYPES.album;
+        const options = msg.options || (await getStored('downloadOptions', {}));
+        const page = await listItemsPage(type, msg.tabId, msg.filters || {}, options, msg.cursor);
+        sendResponse({ ok: true, ...page });
+        return;
+      }
+
+      if (msg?.kind === 'CLEAR_LEDGER') {
+        if (downloadRunning) {
+          sendResponse({ ok: false, error: 'ALREADY_RUNNING' });
+          return;
         }
-        if (!pingOk) throw new Error('CONTENT_SCRIPT_NOT_READY');
+        await clearLedgers();
+        sendResponse({ ok: true });
+        return;
+      }
 
-        // 4) Verify we can detect the album API.
-        const api = await getAlbumApiInfo(msg.tabId);
-        await setStored('scanInfo', { childId: api.childId, baseUrl: api.baseUrl, ts: Date.now() });
-        await setStored('filters', msg.filters || {});
-        await setProgress('준비 완료: 앨범 페이지/세션 OK');
-        sendResponse({ ok: true, message: '준비 완료: 앨범 페이지/세션 OK' });
+      if (msg?.kind === 'CLEAR_RUN_HISTORY') {
+        await chrome.storage.local.remove(RUN_HISTORY_KEY);
+        sendResponse({ ok: true });
         return;
       }
 
-      if (msg?.kind === 'STOP_DOWNLOAD') {
+      if (msg?.kind === 'SET_SCHEDULE') {
+        await setStored('schedule', { enabled: !!msg.enabled, hour: msg.hour });
+        const next = await applySchedule();
+        sendResponse({ ok: true, next });
+        return;
+      }
+
+      if (msg?.kind === 'GET_SCHEDULE') {
+        const alarm = await chrome.alarms.get(SYNC_ALARM);
+        sendResponse({
+          ok: true,
+          schedule: await getStored('schedule', {}),
+          status: await getStored('syncStatus', null),
+          next: alarm?.scheduledTime || null,
+        });
+        return;
+      }
+
+      if (msg?.kind === 'RETRY_FAILED') {
+        if (downloadRunning) {
+          sendResponse({ ok: false, error: 'ALREADY_RUNNING' });
+          return;
+        }
+        await setDownloadRunning(true);
+        retryFailedDownloads(msg.tabId)
+          .catch(async (e) => {
+            const err = String(e?.message || e);
+            console.error(e);
+            await setProgress(`❌ 재시도 실패: ${err}`);
+            await endProgress('error', err);
+          })
+          .finally(async () => {
+            await setDownloadRunning(false);
+          });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg?.kind === 'PAUSE_DOWNLOAD') {
+        if (!activeRun) {
+          sendResponse({ ok: false, error: 'NOT_RUNNING' });
+          return;
+        }
+        pauseRequested = true;
         stopRequested = true;
         await setStored('stopRequested', true);
-        await setProgress('정지 요청됨… 현재 파일 처리 후 중단합니다.');
+        await setProgress('일시정지 요청됨… 현재 파일 처리 후 멈춥니다.');
         sendResponse({ ok: true });
         return;
       }
 
-      
-      if (msg?.kind === 'ENSURE_REPORT_PAGE') {
-        const tab = await chrome.tabs.get(msg.tabId);
-        const isReport = tab.url?.startsWith('https://www.kidsnote.com/service/report');
-        if (!isReport) {
-          await chrome.tabs.update(msg.tabId, { url: 'https://www.kidsnote.com/service/report' });
-          await sleep(1200);
+      if (msg?.kind === 'RESUME_DOWNLOAD') {
+        if (downloadRunning) {
+          sendResponse({ ok: false, error: 'ALREADY_RUNNING' });
+          return;
         }
-        await chrome.tabs.reload(msg.tabId);
-        await sleep(1500);
-
-        let pingOk = false;
-        for (let i = 0; i < 10; i++) {
-          try {
-            const res = await chrome.tabs.sendMessage(msg.tabId, { kind: 'PING_KN_DL_REPORT' });
-            if (res?.ok) { pingOk = true; break; }
-          } catch {}
-          await sleep(400);
+        // msg.mode picks the board; without it, the most recently paused one.
+        const jobs = await loadPausedJobs();
+        const job = msg.mode ? jobs.find((j) => j.mode === msg.mode) : jobs[0];
+        const type = CONTENT_TYPES[job?.mode];
+        if (!type) {
+          sendResponse({ ok: false, error: 'NO_PAUSED_JOB' });
+          return;
         }
-        if (!pingOk) throw new Error('CONTENT_SCRIPT_NOT_READY');
+        // The popup passes the active tab; fall back to the paused run's tab if it's still open.
+        const tabId = msg.tabId || job.tabId;
+        if (!tabId) throw new Error('MISSING_TAB_ID');
+        await resumeJob(type, tabId, { ...job, recoveries: 0 });
+        sendResponse({ ok: true });
+        return;
+      }
 
-        const api = await getReportApiInfo(msg.tabId);
-        await setStored('scanInfoReport', { childId: api.childId, baseUrl: api.baseUrl, ts: Date.now() });
-        await setStored('filters', msg.filters || {});
-        await setProgress('준비 완료: 알림장 페이지/세션 OK');
-        sendResponse({ ok: true, message: '준비 완료: 알림장 페이지/세션 OK' });
+      if (msg?.kind === 'STOP_DOWNLOAD') {
+        stopRequested = true;
+        await setStored('stopRequested', true);
+        await setProgress('정지 요청됨… 현재 파일 처리 후 중단합니다.');
+        sendResponse({ ok: true });
         return;
       }
 
-      if (msg?.kind === 'START_DOWNLOAD_ALBUM') {
+      const previewType = contentTypeFromKind(msg?.kind, 'PREVIEW_');
+      if (previewType) {
+        // Shares the running flag so a preview and a download never interleave their status text.
         if (downloadRunning) {
           sendResponse({ ok: false, error: 'ALREADY_RUNNING' });
           return;
         }
-        const filters = msg.filters || (await getStored('filters', {}));
         if (!msg.tabId) throw new Error('MISSING_TAB_ID');
         await setDownloadRunning(true);
-        startDownloadAlbums(msg.tabId, msg.root || 'Kidsnote', filters)
-          .then(() => console.log('done'))
+        const options = msg.options || (await getStored('downloadOptions', {}));
+        startPreview(previewType, msg.tabId, msg.filters || {}, options)
           .catch(async (e) => {
             const err = String(e?.message || e);
             console.error(e);
-            await setProgress(`❌ 실행 실패: ${err}`);
-            await setFinalReport(`결과:
-- 에러: ${err}`);
+            await setProgress(`❌ 미리보기 실패: ${err}`);
+            await endProgress('error', err);
           })
           .finally(async () => {
             await setDownloadRunning(false);
@@ -690,7 +2192,8 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         return;
       }
 
-      if (msg?.kind === 'START_DOWNLOAD_REPORT') {
+      const startType = contentTypeFromKind(msg?.kind, 'START_DOWNLOAD_');
+      if (startType) {
         if (downloadRunning) {
           sendResponse({ ok: false, error: 'ALREADY_RUNNING' });
           return;
@@ -698,16 +2201,21 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         const filters = msg.filters || (await getStored('filters', {}));
         if (!msg.tabId) throw new Error('MISSING_TAB_ID');
         await setDownloadRunning(true);
-        startDownloadReports(msg.tabId, msg.root || 'Kidsnote', filters)
+        const options = msg.options || (await getStored('downloadOptions', {}));
+        await rememberRoot(startType.mode, msg.root || 'Kidsnote');
+        startDownload(startType, msg.tabId, msg.root || 'Kidsnote', filters, options)
           .then(() => console.log('done'))
           .catch(async (e) => {
             const err = String(e?.message || e);
             console.error(e);
             await setProgress(`❌ 실행 실패: ${err}`);
+            await endProgress('error', err);
+            const resumable = !!(await getStored(pausedJobKey(startType.mode), null));
             await setFinalReport(`결과:
-- 에러: ${err}`);
+- 에러: ${err}${resumable ? `\n팝업의 '이어받기'로 멈춘 곳부터 계속할 수 있습니다.` : ''}`);
           })
           .finally(async () => {
+            await discardZip();
             await setDownloadRunning(false);
           });
         sendResponse({ ok: true });
@@ -0,0 +1,611 @@
+// End-to-end album runs: popup message -> sw.js -> content-script relay -> mock Kidsnote API -> fake downloads.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { loadExtension } from './harness/extension.js';
+import { createKidsnoteSite } from './harness/kidsnote.js';
+
+const ALBUM_PAGE = 'https://www.kidsnote.com/service/album';
+
+function startAlbum(tabId, { filters = {}, options = {} } = {}) {
+  return { kind: 'START_DOWNLOAD_ALBUM', tabId, root: 'Kidsnote_album', filters, options };
+}
+
+test('downloads every album across all list pages', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const { report, progress } = await ext.run(startAlbum(tabId));
+
+  assert.match(progress, /^완료/);
+  assert.match(report, /- 앨범: 7개/);
+  assert.match(report, /- 사진: 8개/);
+  assert.match(report, /- 동영상: 2개/);
+  assert.doesNotMatch(report, /실패/);
+
+  // Seven albums at three per page: the first page plus two `next` tokens.
+  const pages = ext.site.listRequests('albums').map((u) => new URL(u).searchParams.get('page'));
+  assert.deepEqual(pages, [null, '104', '107']);
+
+  assert.deepEqual(ext.savedUnder('Kidsnote_album/2025-10-12-가을 소풍/'), [
+    'Kidsnote_album/2025-10-12-가을 소풍/photos/001.jpg',
+    'Kidsnote_album/2025-10-12-가을 소풍/photos/002.jpg',
+    'Kidsnote_album/2025-10-12-가을 소풍/text.txt',
+    'Kidsnote_album/2025-10-12-가을 소풍/videos/001.mp4',
+  ]);
+  assert.equal(ext.readFile('Kidsnote_album/2025-10-12-가을 소풍/text.txt'), '도토리를 주웠어요.');
+  // Best variants: `original` over `large`, `high` over `low`.
+  assert.equal(ext.files.get('Kidsnote_album/2025-10-12-가을 소풍/photos/001.jpg').url, 'https://kids-i.kakaocdn.net/dn/album/101/a.jpg');
+  assert.equal(ext.files.get('Kidsnote_album/2025-10-12-가을 소풍/photos/002.jpg').url, 'https://kids-i.kakaocdn.net/dn/album/101/b_large.jpg');
+  assert.equal(ext.files.get('Kidsnote_album/2025-10-12-가을 소풍/videos/001.mp4').url, 'https://kids-v.kakaocdn.net/dn/album/101/v_high.mp4');
+  assert.equal(ext.files.get('Kidsnote_album/2025-08-20-여름 물놀이/videos/001.mp4').url, 'https://kids-v.kakaocdn.net/dn/album/106/v_low.mp4');
+});
+
+test('sanitises titles into single safe folder names', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  await ext.run(startAlbum(tabId));
+
+  const folders = new Set([...ext.files.keys()].map((f) => f.split('/')[1]));
+  // '/' and ':' become '_' instead of extra folders; padding and trailing dots go; an empty title falls back to the mode.
+  assert.ok(folders.has('2025-10-03-우리반 _ 운동회_ 1등!'));
+  assert.ok(folders.has('2025-09-27-추석 송편 만들기'));
+  assert.ok(folders.has('2025-09-10-album'));
+  assert.equal(ext.readFile('Kidsnote_album/2025-09-10-album/text.txt'), '제목 없는 앨범');
+});
+
+test('date range downloads only matching albums and stops paging once past it', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const { report } = await ext.run(startAlbum(tabId, { filters: { from: '2025-09', to: '2025-09' } }));
+
+  assert.match(report, /- 앨범: 3개/);
+  const folders = [...new Set([...ext.files.keys()].map((f) => f.split('/')[1]))].sort();
+  assert.deepEqual(folders, ['2025-09-02-비밀 정원', '2025-09-10-album', '2025-09-27-추석 송편 만들기']);
+  // 2025-08-20 on the second page ends the run; the third page is never requested.
+  assert.equal(ext.site.listRequests('albums').length, 2);
+  assert.deepEqual(ext.local.data.lastProgress, { mode: 'album', done: true, downloaded: 3 });
+});
+
+test('falls back to a date-id folder when Chrome rejects the filename', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  ext.faults.invalidFilename = (filename) => filename.includes('비밀 정원');
+  const { report } = await ext.run(startAlbum(tabId, { filters: { from: '2025-09-02', to: '2025-09-02' } }));
+
+  assert.doesNotMatch(report, /실패/);
+  assert.deepEqual(ext.savedUnder('Kidsnote_album/'), [
+    'Kidsnote_album/2025-09-02-105/photos/001.jpg',
+    'Kidsnote_album/2025-09-02-105/photos/002.jpg',
+    'Kidsnote_album/2025-09-02-105/text.txt',
+  ]);
+});
+
+test('skips media the CDN refuses and fetches only that file on the next sync', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const broken = 'https://kids-i.kakaocdn.net/dn/album/101/b_large.jpg';
+  ext.cdn.fail(broken, 404);
+
+  const first = await ext.run(startAlbum(tabId, { options: { sync: true } }));
+  assert.match(first.report, /- 앨범: 7개/);
+  assert.match(first.report, /- 사진: 7개/);
+  assert.match(first.report, /실패\(건너뜀\): 1건/);
+  assert.match(ext.local.data.lastErrorDetail, /photos\/002\.jpg: DOWNLOAD_INTERRUPTED:SERVER_BAD_CONTENT/);
+  assert.equal(ext.files.has('Kidsnote_album/2025-10-12-가을 소풍/photos/002.jpg'), false);
+  // A failed run doesn't move the "since last successful run" anchor.
+  assert.equal(ext.local.data.lastSuccessfulRun, undefined);
+
+  ext.cdn.restore();
+  const before = ext.files.size;
+  const second = await ext.run(startAlbum(tabId, { options: { sync: true } }));
+  assert.match(second.report, /- 앨범: 1개/);
+  assert.match(second.report, /- 건너뜀\(이미 받음\): 6개/);
+  assert.match(second.report, /- 사진: 1개/);
+  assert.doesNotMatch(second.report, /실패/);
+  assert.equal(ext.files.size, before + 1);
+  assert.ok(ext.files.has('Kidsnote_album/2025-10-12-가을 소풍/photos/002.jpg'));
+  assert.ok(ext.local.data.lastSuccessfulRun.album);
+});
+
+test('only a run over everything moves the "since last successful run" anchor', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const both = [{ id: '7001', name: '하나' }, { id: '7002', name: '두리' }];
+  await ext.run(startAlbum(tabId, { filters: { from: '2025-03-02', to: '2025-03-02' } }));
+  await ext.run(startAlbum(tabId, { filters: { preset: 'last7' } }));
+  await ext.run(startAlbum(tabId, { options: { types: { video: false } } }));
+  await ext.run(startAlbum(tabId, { filters: { keyword: '소풍' } }));
+  await ext.run(startAlbum(tabId, { options: { pick: { mode: 'album', ids: ['101'] } } }));
+  await ext.run(startAlbum(tabId, { options: { children: both.slice(0, 1) } }));
+  assert.equal(ext.local.data.lastSuccessfulRun, undefined);
+
+  await ext.run(startAlbum(tabId, { options: { children: both } }));
+  const anchor = ext.local.data.lastSuccessfulRun.album;
+  assert.ok(anchor.date);
+  await ext.run(startAlbum(tabId, { filters: { from: '2025-09' } }));
+  assert.deepEqual(ext.local.data.lastSuccessfulRun.album, anchor);
+  // Picking up from the anchor covers everything after it, so that one moves it on.
+  await ext.run(startAlbum(tabId, { filters: { preset: 'sinceLastRun' } }));
+  assert.ok(ext.local.data.lastSuccessfulRun.album.ts > anchor.ts);
+});
+
+test('keeps the sync ledger per album and takes over one saved in the old single-object form', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  await ext.run(startAlbum(tabId, { options: { sync: true } }));
+  const keys = Object.keys(ext.local.data).filter((k) => k.startsWith('ledgerAlbum')).sort();
+  assert.equal(keys.length, 7);
+  assert.ok(keys.every((k) => /^ledgerAlbum:\d+$/.test(k)));
+  assert.equal(ext.local.data['ledgerAlbum:101'].media.length, 3);
+  assert.ok(ext.local.data['ledgerAlbum:101'].media.every((m) => /^[0-9a-z]{1,7}$/.test(m)));
+
+  delete ext.local.data['ledgerAlbum:101'];
+  ext.local.data.ledgerAlbum = {
+    items: {
+      101: {
+        text: true,
+        done: 1,
+        media: [
+          'https://kids-i.kakaocdn.net/dn/album/101/a.jpg',
+          'https://kids-i.kakaocdn.net/dn/album/101/b_large.jpg',
+          'https://kids-v.kakaocdn.net/dn/album/101/v_high.mp4',
+        ],
+      },
+    },
+    updatedAt: 1,
+  };
+  const before = ext.files.size;
+  const again = await ext.run(startAlbum(tabId, { options: { sync: true } }));
+  assert.match(again.report, /- 앨범: 0개\n- 건너뜀\(이미 받음\): 7개/);
+  assert.equal(ext.files.size, before);
+  assert.equal(ext.local.data.ledgerAlbum, undefined);
+  assert.equal(ext.local.data['ledgerAlbum:101'].media.length, 3);
+
+  await ext.sendToWorker({ kind: 'CLEAR_LEDGER' });
+  assert.deepEqual(Object.keys(ext.local.data).filter((k) => k.startsWith('ledger')), []);
+});
+
+test('lists failures in errors.csv and retries just those files', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  ext.cdn.fail('https://kids-i.kakaocdn.net/dn/album/101/b_large.jpg', 404);
+  ext.cdn.fail('https://kids-v.kakaocdn.net/dn/album/106/v_low.mp4', 403);
+
+  const first = await ext.run(startAlbum(tabId));
+  assert.match(first.report, /실패\(건너뜀\): 2건/);
+  assert.match(first.report, /목록: Kidsnote_album\/errors\.csv/);
+  // trim() also drops the leading BOM.
+  const csv = ext.readFile('Kidsnote_album/errors.csv').trim().split('\r\n');
+  assert.equal(csv[0], 'time,mode,kind,item_id,label,filename,url,error');
+  assert.equal(csv.length, 3);
+  assert.match(csv[1], /,album,photo,101,2025-10-12-가을 소풍 \(id=101\),Kidsnote_album\/2025-10-12-가을 소풍\/photos\/002\.jpg,https:\/\/kids-i\.kakaocdn\.net\/dn\/album\/101\/b_large\.jpg,DOWNLOAD_INTERRUPTED:SERVER_BAD_CONTENT$/);
+  assert.match(csv[2], /,album,video,106,.*DOWNLOAD_INTERRUPTED:SERVER_FORBIDDEN$/);
+  assert.equal(ext.local.data.failedDownloads.album.items.length, 2);
+
+  ext.cdn.restore();
+  const listRequests = ext.site.listRequests('albums').length;
+  const retry = await ext.run({ kind: 'RETRY_FAILED', tabId });
+  assert.match(retry.report, /^결과\(실패 항목 재시도\):\n- 다시 받음: 2개\n- 남은 실패: 0건/);
+  assert.ok(ext.files.has('Kidsnote_album/2025-10-12-가을 소풍/photos/002.jpg'));
+  assert.ok(ext.files.has('Kidsnote_album/2025-08-20-여름 물놀이/videos/001.mp4'));
+  assert.equal(ext.site.listRequests('albums').length, listRequests);
+  assert.deepEqual(ext.local.data.failedDownloads, {});
+  // The stale list is replaced by an empty one.
+  assert.equal(ext.readFile('Kidsnote_album/errors.csv'), '\uFEFFtime,mode,kind,item_id,label,filename,url,error\r\n');
+
+  // The retried albums count as complete for the next sync.
+  const sync = await ext.run(startAlbum(tabId, { options: { sync: true } }));
+  assert.match(sync.report, /- 앨범: 0개\n- 건너뜀\(이미 받음\): 7개/);
+});
+
+/** Records every toolbar badge text and every progress phase/percent the worker publishes during a run. */
+function watchProgress(ext) {
+  const badges = [];
+  const states = [];
+  const setBadgeText = ext.chrome.action.setBadgeText;
+  ext.chrome.action.setBadgeText = async (details) => {
+    badges.push(details.text);
+    return setBadgeText(details);
+  };
+  ext.chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'session' && changes.progress) states.push(changes.progress.newValue);
+  });
+  return { badges, states };
+}
+
+test('publishes structured progress and a percentage badge', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const { badges, states } = watchProgress(ext);
+  await ext.run(startAlbum(tabId));
+
+  assert.deepEqual([...new Set(states.map((s) => s.phase))], ['starting', 'scanning', 'downloading', 'writing', 'done']);
+  const percents = states.filter((s) => s.phase === 'downloading').map((s) => s.percent);
+  assert.deepEqual(percents, [...percents].sort((a, b) => a - b), 'percent never goes backwards');
+  assert.ok(percents.some((p) => p > 0 && p < 100));
+
+  const last = ext.session.data.progress;
+  assert.deepEqual(last.items, { done: 7, total: 7 });
+  assert.equal(last.percent, 100);
+  assert.equal(last.etaMs, null);
+  assert.equal(last.mode, 'album');
+  assert.ok(last.bytes > 0);
+
+  // '…' until the first list page gives a total, then percentages, and cleared once the run ends.
+  assert.equal(badges[0], '…');
+  assert.ok(badges.some((b) => /^\d+%$/.test(b)));
+  assert.equal(badges.at(-1), '');
+  assert.equal(ext.chrome.action.badge.text, '');
+});
+
+test('a range start leaves the total unknown and the bar indeterminate', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const { badges, states } = watchProgress(ext);
+  await ext.run(startAlbum(tabId, { filters: { from: '2025-09', to: '2025-09' } }));
+
+  assert.ok(states.filter((s) => s.phase === 'downloading').every((s) => s.items.total === null && s.percent === null));
+  assert.deepEqual(badges, ['…', '']);
+  assert.equal(ext.session.data.progress.phase, 'done');
+});
+
+test('pauses mid-album and resumes from the same media after a worker restart', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const full = [
+    'Kidsnote_album/2025-10-12-가을 소풍/photos/001.jpg',
+    'Kidsnote_album/2025-10-12-가을 소풍/photos/002.jpg',
+    'Kidsnote_album/2025-10-12-가을 소풍/text.txt',
+    'Kidsnote_album/2025-10-12-가을 소풍/videos/001.mp4',
+  ];
+  // Pause as soon as the first photo of the first album is saved (one download at a time, so nothing else started).
+  let paused = false;
+  ext.chrome.storage.onChanged.addListener((changes, area) => {
+    if (paused || area !== 'session' || changes.progress?.newValue?.media?.done !== 1) return;
+    paused = true;
+    void ext.sendToWorker({ kind: 'PAUSE_DOWNLOAD' });
+  });
+  const first = await ext.run(startAlbum(tabId, { options: { parallel: 1 } }));
+
+  assert.match(first.report, /일시정지됨/);
+  assert.equal(ext.session.data.progress.phase, 'paused');
+  assert.deepEqual(ext.savedUnder('Kidsnote_album/'), full.slice(0, 1).concat(full[2]));
+  const job = ext.local.data['pausedJob:album'];
+  assert.deepEqual(job.position, { childIndex: 0, pageToken: null, itemIndex: 0, processed: 0, item: { id: 101, mediaIndex: 1 } });
+  assert.equal(ext.local.data.runHistory[0].status, 'paused');
+
+  await ext.restartWorker();
+  const listBefore = ext.site.listRequests('albums').length;
+  const { report } = await ext.run({ kind: 'RESUME_DOWNLOAD', tabId });
+
+  assert.match(report, /- 앨범: 7개/);
+  assert.match(report, /- 사진: 8개/);
+  assert.match(report, /- 동영상: 2개/);
+  assert.deepEqual(ext.savedUnder('Kidsnote_album/2025-10-12-가을 소풍/'), full);
+  // Every album once: nothing was saved a second time under a uniquified " (1)" name.
+  assert.ok(!ext.savedUnder('Kidsnote_album/').some((f) => / \(\d+\)/.test(f)));
+  assert.equal(ext.site.listRequests('albums').length - listBefore, 3);
+  assert.equal(ext.local.data['pausedJob:album'], undefined);
+  assert.equal(ext.local.data.runHistory[0].status, 'ok');
+  // The paused part and its continuation share startTs but are separate rows.
+  const [resumedRow, pausedRow] = ext.local.data.runHistory;
+  assert.equal(resumedRow.startTs, pausedRow.startTs);
+  assert.notEqual(resumedRow.id, pausedRow.id);
+
+  const again = await ext.sendToWorker({ kind: 'RESUME_DOWNLOAD', tabId });
+  assert.deepEqual(again, { ok: false, error: 'NO_PAUSED_JOB' });
+});
+
+// Checkpoints are written on a timer; resolves once the stored one has caught up with `position`.
+function checkpointReaches(ext, matches) {
+  return new Promise((resolve) => {
+    if (matches(ext.local.data.activeJob?.position)) return resolve();
+    ext.chrome.storage.onChanged.addListener(function onChange(changes, area) {
+      if (area !== 'local' || !matches(changes.activeJob?.newValue?.position)) return;
+      ext.chrome.storage.onChanged.removeListener(onChange);
+      resolve();
+    });
+  });
+}
+
+test('continues by itself after the worker was shut down between albums', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  // The worker goes away while waiting for the second list page, which never answers.
+  const hung = new Promise((resolve) => {
+    ext.faults.hangTabMessage = (msg) => {
+      if (!String(msg.url || '').includes('page=104')) return false;
+      resolve();
+      return true;
+    };
+  });
+  assert.equal((await ext.sendToWorker(startAlbum(tabId, { options: { parallel: 1 } }))).ok, true);
+  await hung;
+  ext.faults.hangTabMessage = null;
+  await checkpointReaches(ext, (position) => position?.itemIndex === 3);
+  assert.equal(ext.session.data.downloadRunning, true);
+  assert.deepEqual(ext.local.data.activeJob.position, { childIndex: 0, pageToken: null, itemIndex: 3, processed: 3, item: null });
+  // Left out of checkpoints, which are rewritten all along the run.
+  assert.deepEqual(ext.local.data.activeJob.counters.failures, []);
+
+  await ext.restartWorker();
+  await ext.waitForIdle();
+
+  const report = ext.session.data.finalReport;
+  assert.match(report, /- 앨범: 7개/);
+  assert.match(report, /- 사진: 8개/);
+  assert.match(report, /- 동영상: 2개/);
+  assert.ok(!ext.savedUnder('Kidsnote_album/').some((f) => / \(\d+\)/.test(f)));
+  assert.ok(ext.files.has('Kidsnote_album/2025-03-02-입학식/text.txt'));
+  assert.equal(ext.local.data.activeJob, undefined);
+  assert.equal(ext.local.data['pausedJob:album'], undefined);
+  assert.equal(ext.local.data.runHistory[0].status, 'ok');
+  assert.equal(ext.chrome.action.badge.text, '');
+});
+
+test('says how many failures the list is missing after a run was picked up from a checkpoint', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  ext.cdn.fail('https://kids-i.kakaocdn.net/dn/album/101/b_large.jpg', 404);
+  const hung = new Promise((resolve) => {
+    ext.faults.hangTabMessage = (msg) => {
+      if (!String(msg.url || '').includes('page=104')) return false;
+      resolve();
+      return true;
+    };
+  });
+  assert.equal((await ext.sendToWorker(startAlbum(tabId, { options: { parallel: 1 } }))).ok, true);
+  await hung;
+  ext.faults.hangTabMessage = null;
+  await checkpointReaches(ext, (position) => position?.itemIndex === 3);
+  ext.cdn.restore();
+  await ext.restartWorker();
+  await ext.waitForIdle();
+
+  // The failure from before the checkpoint is counted, but its details went with the old worker.
+  const report = ext.session.data.finalReport;
+  assert.match(report, /실패\(건너뜀\): 1건/);
+  assert.match(report, /목록에 없는 실패: 1건/);
+  assert.equal(ext.local.data.failedDownloads.album.unlisted, 1);
+  const csv = ext.readFile('Kidsnote_album/errors.csv').split('\r\n');
+  assert.match(csv[1], /,album,unlisted,,,,,실패 1건은 이 목록에 없습니다/);
+
+  const retry = await ext.run({ kind: 'RETRY_FAILED', tabId });
+  assert.match(retry.report, /- 목록에 없어 재시도하지 못한 실패: 1건/);
+  assert.deepEqual(ext.local.data.failedDownloads, {});
+});
+
+test('offers an interrupted run for resuming when its tab is gone, down to the media file', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  // Killed while the first album's video is downloading (its two photos are saved).
+  const hung = new Promise((resolve) => {
+    ext.faults.hangDownload = (filename) => {
+      if (!filename.endsWith('가을 소풍/videos/001.mp4')) return false;
+      resolve();
+      return true;
+    };
+  });
+  assert.equal((await ext.sendToWorker(startAlbum(tabId, { options: { parallel: 1 } }))).ok, true);
+  await hung;
+  ext.faults.hangDownload = null;
+  await checkpointReaches(ext, (position) => position?.item?.mediaIndex === 2);
+  await ext.chrome.tabs.remove(tabId);
+
+  await ext.restartWorker();
+  // Any message waits for the leftover job to be sorted out.
+  await ext.sendToWorker({ kind: 'GET_SCHEDULE' });
+  assert.equal(ext.session.data.downloadRunning, false);
+  assert.equal(ext.session.data.progress.phase, 'paused');
+  assert.equal(ext.chrome.action.badge.text, '');
+  const job = ext.local.data['pausedJob:album'];
+  assert.equal(job.interrupted, true);
+  assert.deepEqual(job.position.item, { id: 101, mediaIndex: 2 });
+
+  const newTab = ext.openTab(ALBUM_PAGE);
+  const { report } = await ext.run({ kind: 'RESUME_DOWNLOAD', tabId: newTab });
+  assert.match(report, /- 앨범: 7개/);
+  assert.match(report, /- 사진: 8개/);
+  assert.match(report, /- 동영상: 2개/);
+  assert.deepEqual(ext.savedUnder('Kidsnote_album/2025-10-12-가을 소풍/'), [
+    'Kidsnote_album/2025-10-12-가을 소풍/photos/001.jpg',
+    'Kidsnote_album/2025-10-12-가을 소풍/photos/002.jpg',
+    'Kidsnote_album/2025-10-12-가을 소풍/text.txt',
+    'Kidsnote_album/2025-10-12-가을 소풍/videos/001.mp4',
+  ]);
+});
+
+test('keeps a run that failed partway resumable from where it stopped', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  // The tab goes away once the first page's three albums are done: the next list request has nowhere to go.
+  let closed = false;
+  ext.chrome.storage.onChanged.addListener((changes, area) => {
+    if (closed || area !== 'session' || changes.progress?.newValue?.items?.done !== 3) return;
+    closed = true;
+    void ext.chrome.tabs.remove(tabId);
+  });
+  const first = await ext.run(startAlbum(tabId, { options: { parallel: 1 } }));
+
+  assert.match(first.progress, /❌ 실행 실패: No tab with id: 1\./);
+  assert.match(first.report, /이어받기/);
+  const job = ext.local.data['pausedJob:album'];
+  assert.equal(job.interrupted, true);
+  assert.deepEqual(job.position, { childIndex: 0, pageToken: null, itemIndex: 3, processed: 3, item: null });
+  assert.equal(ext.local.data.activeJob, undefined);
+
+  const newTab = ext.openTab(ALBUM_PAGE);
+  const { report } = await ext.run({ kind: 'RESUME_DOWNLOAD', tabId: newTab });
+  assert.match(report, /- 앨범: 7개/);
+  assert.match(report, /- 사진: 8개/);
+  assert.ok(!ext.savedUnder('Kidsnote_album/').some((f) => / \(\d+\)/.test(f)));
+  assert.equal(ext.local.data['pausedJob:album'], undefined);
+});
+
+test('a run of another board that fails before starting leaves the paused album alone', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  let paused = false;
+  ext.chrome.storage.onChanged.addListener((changes, area) => {
+    if (paused || area !== 'session' || changes.progress?.newValue?.media?.done !== 1) return;
+    paused = true;
+    void ext.sendToWorker({ kind: 'PAUSE_DOWNLOAD' });
+  });
+  await ext.run(startAlbum(tabId, { options: { parallel: 1 } }));
+  const albumJob = ext.local.data['pausedJob:album'];
+  assert.deepEqual(albumJob.position.item, { id: 101, mediaIndex: 1 });
+
+  // Started on a tab that doesn't exist, so it fails before getting anywhere.
+  const failed = await ext.run({ kind: 'START_DOWNLOAD_REPORT', tabId: 999, root: 'Kidsnote_report', filters: {}, options: {} });
+  assert.match(failed.progress, /❌ 실행 실패/);
+  assert.doesNotMatch(failed.report, /이어받기/);
+  assert.equal(ext.local.data['pausedJob:report'], undefined);
+  assert.deepEqual(ext.local.data['pausedJob:album'], albumJob);
+
+  const { report } = await ext.run({ kind: 'RESUME_DOWNLOAD', tabId });
+  assert.match(report, /^결과\(앨범\):[^]*- 앨범: 7개/);
+  assert.equal(ext.local.data['pausedJob:album'], undefined);
+});
+
+test('takes over a paused job saved under the old single key', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  let paused = false;
+  ext.chrome.storage.onChanged.addListener((changes, area) => {
+    if (paused || area !== 'session' || changes.progress?.newValue?.media?.done !== 1) return;
+    paused = true;
+    void ext.sendToWorker({ kind: 'PAUSE_DOWNLOAD' });
+  });
+  await ext.run(startAlbum(tabId, { options: { parallel: 1 } }));
+  ext.local.data.pausedJob = ext.local.data['pausedJob:album'];
+  delete ext.local.data['pausedJob:album'];
+
+  await ext.restartWorker();
+  const { report } = await ext.run({ kind: 'RESUME_DOWNLOAD', tabId });
+  assert.match(report, /- 앨범: 7개/);
+  assert.deepEqual(Object.keys(ext.local.data).filter((k) => k.startsWith('pausedJob')), []);
+});
+
+test('keeps a history of finished, partial and crashed runs', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  await ext.run(startAlbum(tabId, { filters: { from: '2025-09', to: '2025-09' } }));
+  ext.cdn.fail('https://kids-i.kakaocdn.net/dn/album/107/a.jpg', 404);
+  await ext.run(startAlbum(tabId, { options: { sync: true } }));
+  // No content script on this page: the run dies while detecting the API.
+  const otherTab = ext.openTab('https://www.kidsnote.com/');
+  await ext.run(startAlbum(otherTab));
+
+  const [crashed, partial, ok] = ext.local.data.runHistory;
+  assert.equal(ext.local.data.runHistory.length, 3);
+  assert.deepEqual(
+    { status: ok.status, mode: ok.mode, trigger: ok.trigger, root: ok.root, range: ok.range, children: ok.children, errors: ok.errors },
+    { status: 'ok', mode: 'album', trigger: 'manual', root: 'Kidsnote_album', range: '2025-09-01 ~ 2025-09-30', children: ['7001'], errors: 0 },
+  );
+  assert.deepEqual(ok.counts, { items: 3, upToDate: 0, filtered: 0, photos: 3, videos: 0, files: 0, comments: 0, zips: 0, bytes: ok.counts.bytes });
+  assert.ok(ok.endTs >= ok.startTs);
+
+  assert.equal(partial.status, 'partial');
+  assert.equal(partial.counts.items, 4);
+  assert.equal(partial.counts.upToDate, 3);
+  assert.equal(partial.errors, 1);
+  assert.match(partial.lastError, /2025-03-02-입학식\/photos\/001\.jpg: DOWNLOAD_INTERRUPTED:SERVER_BAD_CONTENT/);
+
+  assert.equal(crashed.status, 'error');
+  assert.deepEqual(crashed.children, []);
+  assert.match(crashed.lastError, /Receiving end does not exist/);
+
+  assert.deepEqual(await ext.sendToWorker({ kind: 'CLEAR_RUN_HISTORY' }), { ok: true });
+  assert.equal(ext.local.data.runHistory, undefined);
+});
+
+test('writes comments and meta.json next to the album', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const { report } = await ext.run(startAlbum(tabId, {
+    filters: { from: '2025-10-12', to: '2025-10-12' },
+    options: { comments: true, metaJson: true },
+  }));
+
+  assert.match(report, /- 댓글: 1개/);
+  assert.match(ext.readFile('Kidsnote_album/2025-10-12-가을 소풍/comments.txt'), /\[2025-10-12 20:00\] 하나 엄마\n감사합니다!/);
+  const meta = JSON.parse(ext.readFile('Kidsnote_album/2025-10-12-가을 소풍/meta.json'));
+  assert.equal(meta.id, 101);
+  assert.equal(meta.dir, '2025-10-12-가을 소풍');
+  assert.deepEqual(meta.media.photos.map((p) => p.file), ['photos/001.jpg', 'photos/002.jpg']);
+  assert.equal(meta.comments.length, 1);
+  // Albums whose list entry says num_comments: 0 never hit the comments endpoint.
+  assert.deepEqual(ext.site.requests.filter((u) => u.includes('/comments/')), ['https://www.kidsnote.com/api/v1_3/albums/101/comments/']);
+});
+
+test('a photos-only run links and lists only the photos in index.html and meta.json', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  await ext.run(startAlbum(tabId, {
+    filters: { from: '2025-10-12', to: '2025-10-12' },
+    options: { html: true, metaJson: true, types: { video: false, file: false } },
+  }));
+
+  assert.ok(!ext.savedUnder('Kidsnote_album/').some((f) => f.includes('/videos/')));
+  const page = ext.readFile('Kidsnote_album/2025-10-12-가을 소풍/index.html');
+  assert.match(page, /photos\/002\.jpg/);
+  assert.doesNotMatch(page, /videos\/|<video/);
+  const meta = JSON.parse(ext.readFile('Kidsnote_album/2025-10-12-가을 소풍/meta.json'));
+  assert.deepEqual(meta.media.photos.map((p) => p.file), ['photos/001.jpg', 'photos/002.jpg']);
+  assert.deepEqual(meta.media.videos, []);
+  const entry = ext.local.data.archiveIndex.Kidsnote_album['2025-10-12-가을 소풍'];
+  assert.deepEqual([entry.photos, entry.videos, entry.files], [2, 0, 0]);
+});
+
+test('fans out over the selected children into per-child folders', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const { report } = await ext.run(startAlbum(tabId, {
+    filters: { from: '2025-10-12', to: '2025-10-12' },
+    options: { children: [{ id: '7001', name: '하나' }, { id: '7002', name: '두리' }] },
+  }));
+
+  assert.match(report, /- 아이: 하나, 두리/);
+  assert.deepEqual(ext.savedUnder('Kidsnote_album/'), [
+    'Kidsnote_album/두리/2025-10-12-가을 소풍/photos/001.jpg',
+    'Kidsnote_album/두리/2025-10-12-가을 소풍/text.txt',
+    'Kidsnote_album/하나/2025-10-12-가을 소풍/photos/001.jpg',
+    'Kidsnote_album/하나/2025-10-12-가을 소풍/photos/002.jpg',
+    'Kidsnote_album/하나/2025-10-12-가을 소풍/text.txt',
+    'Kidsnote_album/하나/2025-10-12-가을 소풍/videos/001.mp4',
+  ]);
+});
+
+test('prepares the album page through the real content scripts', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab('https://www.kidsnote.com/');
+  const res = await ext.sendToWorker({ kind: 'ENSURE_ALBUM_PAGE', tabId, filters: {} });
+
+  assert.equal(res.ok, true);
+  assert.equal((await ext.chrome.tabs.get(tabId)).url, ALBUM_PAGE);
+  assert.equal(ext.local.data.scanInfo.childId, '7001');
+  assert.equal(ext.local.data.scanInfo.baseUrl, 'https://www.kidsnote.com/api/v1_3/children/7001/albums/');
+});
+
+test('without resource timing, albums take the first child and reports the "current child" field', async () => {
+  const site = createKidsnoteSite();
+  site.pageResources = () => [];
+  site.meInfo = { ...site.meInfo, current_child_id: 7002 };
+  const ext = await loadExtension({ site });
+  const tabId = ext.openTab('https://www.kidsnote.com/');
+
+  assert.equal((await ext.sendToWorker({ kind: 'ENSURE_ALBUM_PAGE', tabId, filters: {} })).ok, true);
+  assert.equal(ext.local.data.scanInfo.childId, '7001');
+  assert.equal((await ext.sendToWorker({ kind: 'ENSURE_REPORT_PAGE', tabId, filters: {} })).ok, true);
+  assert.equal(ext.local.data.scanInfoReport.childId, '7002');
+});
+
+test('reports LOGIN_REQUIRED when the session has expired', async () => {
+  const ext = await loadExtension({ site: createKidsnoteSite({ loggedIn: false }) });
+  const tabId = ext.openTab(ALBUM_PAGE);
+  const res = await ext.sendToWorker({ kind: 'ENSURE_ALBUM_PAGE', tabId, filters: {} });
+
+  assert.equal(res.ok, false);
+  assert.match(res.error, /LOGIN_REQUIRED/);
+});
@@ -0,0 +1,34 @@
+// lib/exif.js on hand-built JPEGs: the APP1 segment it writes has to stay a valid JPEG segment.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { writeJpegExif } from '../lib/exif.js';
+
+// SOI, an empty APP0, then SOS straight into image data and EOI.
+const JPEG = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x02, 0xff, 0xda, 0x00, 0x02, 0x11, 0x22, 0xff, 0xd9]);
+
+/** The written APP1 segment's length field and its text after the "Exif" header. */
+function app1(bytes) {
+  assert.deepEqual([...bytes.subarray(6, 8)], [0xff, 0xe1]);
+  const len = (bytes[8] << 8) | bytes[9];
+  return { len, end: 8 + len, text: Buffer.from(bytes.subarray(10, 8 + len)).toString('utf8') };
+}
+
+test('writes the date and title into a new APP1 segment', () => {
+  const out = writeJpegExif(JPEG, { created: '2025-10-12T10:20:00+09:00', description: '가을 소풍' });
+  const { end, text } = app1(out);
+  assert.match(text, /2025:10:12 10:20:00/);
+  assert.match(text, /가을 소풍/);
+  assert.deepEqual([...out.subarray(end)], [...JPEG.subarray(6)]);
+});
+
+test('shortens a description too long for one segment', () => {
+  const description = '도토리를 주웠어요. '.repeat(8000);
+  const out = writeJpegExif(JPEG, { created: '2025-10-12', description });
+  const { len, end, text } = app1(out);
+  assert.ok(len <= 65533, `APP1 length ${len}`);
+  assert.match(text, /도토리를 주웠어요\. [^]*…/);
+  // The image data still follows right after the segment.
+  assert.deepEqual([...out.subarray(end)], [...JPEG.subarray(6)]);
+});
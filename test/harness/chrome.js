@@ -0,0 +1,327 @@
+// In-memory fakes for the chrome.* APIs the service worker and content scripts use.
+// Tabs run the real content scripts from manifest.json in a vm context (one isolated world per tab), with the
+// page's fetch/resource timing supplied by the mock site, so tabs.sendMessage goes through the real relay.
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const REPO_ROOT = new URL('../../', import.meta.url);
+const manifest = JSON.parse(readFileSync(new URL('manifest.json', REPO_ROOT), 'utf8'));
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => { listeners.push(fn); },
+    removeListener: (fn) => {
+      const i = listeners.indexOf(fn);
+      if (i >= 0) listeners.splice(i, 1);
+    },
+    hasListener: (fn) => listeners.includes(fn),
+    dispatch: (...args) => listeners.slice().forEach((fn) => fn(...args)),
+  };
+}
+
+function createStorageArea(areaName, onChanged) {
+  // Values are cloned on the way in and out, like the real (serialising) storage.
+  const data = {};
+  const notify = (changes) => {
+    if (Object.keys(changes).length) onChanged.dispatch(changes, areaName);
+  };
+  return {
+    data,
+    async get(keys) {
+      if (keys == null) return structuredClone(data);
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const out = {};
+      for (const k of list) {
+        if (k in data) out[k] = structuredClone(data[k]);
+        else if (k in defaults) out[k] = defaults[k];
+      }
+      return out;
+    },
+    async set(items) {
+      const changes = {};
+      for (const [k, v] of Object.entries(items)) {
+        changes[k] = { oldValue: data[k], newValue: structuredClone(v) };
+        data[k] = structuredClone(v);
+      }
+      notify(changes);
+    },
+    async remove(keys) {
+      const changes = {};
+      for (const k of [].concat(keys)) {
+        if (!(k in data)) continue;
+        changes[k] = { oldValue: data[k] };
+        delete data[k];
+      }
+      notify(changes);
+    },
+    async clear() {
+      await this.remove(Object.keys(data));
+    },
+  };
+}
+
+function parseDataUrl(url) {
+  const m = String(url).match(/^data:([^,]*),(.*)$/s);
+  if (!m) return null;
+  return /;base64$/.test(m[1]) ? Buffer.from(m[2], 'base64') : Buffer.from(decodeURIComponent(m[2]), 'utf8');
+}
+
+function isValidDownloadFilename(filename) {
+  // Roughly what chrome.downloads.download() rejects with "Invalid filename": absolute or parent paths,
+  // empty segments, and characters/trailing dots or spaces Windows can't store.
+  if (!filename || filename.startsWith('/')) return false;
+  return filename.split('/').every((seg) => seg
+    && seg !== '.' && seg !== '..'
+    && !/[\\:*?"<>|\u0000-\u001F]/.test(seg)
+    && !/[. ]$/.test(seg)
+    && !/^ /.test(seg));
+}
+
+function uniquifyName(filename, taken) {
+  // "photos/001.jpg" -> "photos/001 (1).jpg", like Chrome's conflictAction: 'uniquify'.
+  if (!taken.has(filename)) return filename;
+  const m = filename.match(/^(.*?)(\.[^./]*)?$/);
+  for (let n = 1; ; n++) {
+    const candidate = `${m[1]} (${n})${m[2] || ''}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+// Chrome's interrupt reasons for a failed HTTP download.
+function interruptReason(status) {
+  if (status === 401) return 'SERVER_UNAUTHORIZED';
+  if (status === 403) return 'SERVER_FORBIDDEN';
+  if (status === 404) return 'SERVER_BAD_CONTENT';
+  return 'SERVER_FAILED';
+}
+
+function globToRegExp(glob) {
+  return new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+}
+
+/**
+ * Returns { chrome, local, session, files, faults, openTab, sendToWorker }.
+ * - files: Map of saved download filename -> { url, body: Buffer }
+ * - faults.invalidFilename(filename): return true to make download() reject with "Invalid filename"
+ * - faults.hangDownload(filename): return true to leave that download in progress forever
+ * - faults.hangTabMessage(msg): return true to leave tabs.sendMessage() pending forever (a tab that never answers)
+ */
+export function createChrome({ site, cdn }) {
+  const storageChanged = createEvent();
+  const local = createStorageArea('local', storageChanged);
+  const session = createStorageArea('session', storageChanged);
+  const faults = { invalidFilename: null, hangDownload: null, hangTabMessage: null };
+
+  // downloads
+  const downloadItems = new Map();
+  const files = new Map();
+  const downloadChanged = createEvent();
+  let nextDownloadId = 1;
+
+  function finishDownload(item, conflictAction) {
+    if (item.state !== 'in_progress') return;
+    let body = parseDataUrl(item.url);
+    let error = '';
+    if (!body) {
+      const res = cdn.lookup(item.url);
+      if (res.status === 200) body = res.body;
+      else error = interruptReason(res.status);
+    }
+    if (error) {
+      item.state = 'interrupted';
+      item.error = error;
+    } else {
+      item.filename = conflictAction === 'overwrite' ? item.filename : uniquifyName(item.filename, files);
+      files.set(item.filename, { url: item.url, body });
+      item.state = 'complete';
+      item.bytesReceived = body.length;
+      item.fileSize = body.length;
+    }
+    downloadChanged.dispatch({ id: item.id, state: { previous: 'in_progress', current: item.state } });
+  }
+
+  // tabs with content scripts
+  const tabs = new Map();
+  let nextTabId = 1;
+
+  function injectContentScripts(tab) {
+    tab.onMessage = createEvent();
+    const scripts = manifest.content_scripts
+      .filter((cs) => cs.matches.some((glob) => globToRegExp(glob).test(tab.url)))
+      .flatMap((cs) => cs.js);
+    if (!scripts.length) return;
+    const context = vm.createContext({
+      URL,
+      URLSearchParams,
+      console,
+      setTimeout,
+      clearTimeout,
+      location: { href: tab.url, origin: new URL(tab.url).origin },
+      fetch: site.fetch,
+      performance: {
+        getEntriesByType: (type) => (type === 'resource' ? site.pageResources(tab.url).map((name) => ({ name })) : []),
+      },
+      chrome: { runtime: { onMessage: { addListener: tab.onMessage.addListener } } },
+    });
+    // The same file listed by several entries only runs once per world, as in Chrome.
+    for (const file of new Set(scripts)) {
+      vm.runInContext(readFileSync(new URL(file, REPO_ROOT), 'utf8'), context, { filename: file });
+    }
+  }
+
+  function navigate(tab, url) {
+    tab.url = url;
+    injectContentScripts(tab);
+  }
+
+  function getTab(tabId) {
+    const tab = tabs.get(tabId);
+    if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+    return tab;
+  }
+
+  const tabInfo = (tab) => ({ id: tab.id, url: tab.url, active: tab.active });
+
+  function messageTab(tab, msg) {
+    // Resolves with the first response; rejects like Chrome when nothing in the tab listens.
+    return new Promise((resolve, reject) => {
+      const listeners = tab.onMessage.listeners;
+      if (!listeners.length) {
+        reject(new Error('Could not establish connection. Receiving end does not exist.'));
+        return;
+      }
+      let pending = false;
+      for (const fn of listeners) {
+        if (fn(msg, { tab: tabInfo(tab) }, resolve) === true) pending = true;
+      }
+      if (!pending) resolve(undefined);
+    });
+  }
+
+  // alarms
+  const alarms = new Map();
+
+  const runtimeMessage = createEvent();
+
+  const chrome = {
+    storage: { local, session, onChanged: storageChanged },
+    downloads: {
+      onChanged: downloadChanged,
+      async download({ url, filename, conflictAction = 'uniquify' }) {
+        if (!isValidDownloadFilename(filename) || faults.invalidFilename?.(filename)) {
+          throw new Error('Invalid filename');
+        }
+        const item = { id: nextDownloadId++, url, filename, state: 'in_progress', bytesReceived: 0 };
+        downloadItems.set(item.id, item);
+        if (faults.hangDownload?.(filename)) return item.id;
+        // Completes asynchronously, after download() has resolved with the id.
+        setImmediate(() => finishDownload(item, conflictAction));
+        return item.id;
+      },
+      async search({ id }) {
+        const item = downloadItems.get(id);
+        return item ? [{ ...item }] : [];
+      },
+      async cancel(id) {
+        const item = downloadItems.get(id);
+        if (item?.state === 'in_progress') {
+          item.state = 'interrupted';
+          item.error = 'USER_CANCELED';
+        }
+      },
+      async erase({ id }) {
+        downloadItems.delete(id);
+        return [id];
+      },
+    },
+    tabs: {
+      async get(tabId) {
+        return tabInfo(getTab(tabId));
+      },
+      async query({ url } = {}) {
+        const patterns = [].concat(url || []).map(globToRegExp);
+        return [...tabs.values()].filter((t) => !patterns.length || patterns.some((re) => re.test(t.url))).map(tabInfo);
+      },
+      async create({ url, active = true }) {
+        return tabInfo(getTab(openTab(url, { active })));
+      },
+      async update(tabId, { url }) {
+        const tab = getTab(tabId);
+        if (url) navigate(tab, url);
+        return tabInfo(tab);
+      },
+      async reload(tabId) {
+        const tab = getTab(tabId);
+        navigate(tab, tab.url);
+      },
+      async remove(tabId) {
+        tabs.delete(tabId);
+      },
+      async sendMessage(tabId, msg) {
+        if (faults.hangTabMessage?.(msg)) return new Promise(() => {});
+        return messageTab(getTab(tabId), msg);
+      },
+    },
+    alarms: {
+      onAlarm: createEvent(),
+      async create(name, { when, delayInMinutes, periodInMinutes } = {}) {
+        const scheduledTime = when ?? Date.now() + (delayInMinutes || 0) * 60000;
+        alarms.set(name, { name, scheduledTime, ...(periodInMinutes ? { periodInMinutes } : {}) });
+      },
+      async get(name) {
+        return alarms.get(name);
+      },
+      async getAll() {
+        return [...alarms.values()];
+      },
+      async clear(name) {
+        return alarms.delete(name);
+      },
+    },
+    action: {
+      badge: { text: '', color: null, title: '' },
+      async setBadgeText({ text }) { chrome.action.badge.text = text; },
+      async setBadgeBackgroundColor({ color }) { chrome.action.badge.color = color; },
+      async setTitle({ title }) { chrome.action.badge.title = title; },
+    },
+    runtime: {
+      onMessage: runtimeMessage,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      async sendMessage() {
+        // Only the offscreen document listens for SW-originated messages, and there is none here.
+        throw new Error('Could not establish connection. Receiving end does not exist.');
+      },
+      async getContexts() {
+        return [];
+      },
+      async getPlatformInfo() {
+        return { os: 'linux', arch: 'x86-64', nacl_arch: 'x86-64' };
+      },
+    },
+  };
+
+  function openTab(url, { active = true } = {}) {
+    const tab = { id: nextTabId++, url, active, onMessage: createEvent() };
+    tabs.set(tab.id, tab);
+    navigate(tab, url);
+    return tab.id;
+  }
+
+  /** Message the service worker the way the popup does; resolves with its sendResponse value. */
+  function sendToWorker(msg) {
+    return new Promise((resolve) => {
+      let pending = false;
+      for (const fn of runtimeMessage.listeners) {
+        if (fn(msg, {}, resolve) === true) pending = true;
+      }
+      if (!pending) resolve(undefined);
+    });
+  }
+
+  return { chrome, local, session, files, faults, openTab, sendToWorker };
+}
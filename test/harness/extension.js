@@ -0,0 +1,80 @@
+// Boots a fresh copy of sw.js against the fakes. sw.js keeps module-level state (running flag, pending downloads,
+// open ZIP), so every call imports it under a new query string to get its own instance.
+
+import { createChrome } from './chrome.js';
+import { createCdn, createKidsnoteSite } from './kidsnote.js';
+
+let instanceSeq = 0;
+
+// Intervals the worker starts (download polling, keep-alive), so a restart can stop them like Chrome would.
+// Content scripts in the fake tabs don't use setInterval.
+const workerIntervals = new Set();
+const nativeSetInterval = globalThis.setInterval;
+const nativeClearInterval = globalThis.clearInterval;
+globalThis.setInterval = (...args) => {
+  const timer = nativeSetInterval(...args);
+  workerIntervals.add(timer);
+  return timer;
+};
+globalThis.clearInterval = (timer) => {
+  workerIntervals.delete(timer);
+  nativeClearInterval(timer);
+};
+
+export async function loadExtension({ site = createKidsnoteSite(), cdn = createCdn() } = {}) {
+  const fake = createChrome({ site, cdn });
+  globalThis.chrome = fake.chrome;
+  globalThis.fetch = cdn.fetch;
+  await import(`../../sw.js?instance=${++instanceSeq}`);
+
+  /**
+   * Starts a fresh worker instance against the same storage, tabs and downloads, as after Chrome tore the
+   * worker down: its listeners, intervals and module state go, storage stays. Code the old instance is still
+   * awaiting (e.g. a hung tab message) never continues.
+   */
+  async function restartWorker() {
+    const { runtime, alarms, downloads } = fake.chrome;
+    for (const event of [runtime.onMessage, runtime.onInstalled, runtime.onStartup, alarms.onAlarm, downloads.onChanged]) {
+      event.listeners.length = 0;
+    }
+    for (const timer of workerIntervals) clearInterval(timer);
+    await import(`../../sw.js?instance=${++instanceSeq}`);
+  }
+
+  /** Resolves once the running flag in session storage drops back to false. */
+  function waitForIdle(timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+      if (fake.session.data.downloadRunning === false) {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(() => {
+        fake.chrome.storage.onChanged.removeListener(onChange);
+        reject(new Error(`run still going after ${timeoutMs}ms: ${fake.session.data.progressText}`));
+      }, timeoutMs);
+      function onChange(changes, area) {
+        if (area !== 'session' || changes.downloadRunning?.newValue !== false) return;
+        clearTimeout(timer);
+        fake.chrome.storage.onChanged.removeListener(onChange);
+        resolve();
+      }
+      fake.chrome.storage.onChanged.addListener(onChange);
+    });
+  }
+
+  /** Sends a START_DOWNLOAD_* / PREVIEW_* message and waits for the run to finish. */
+  async function run(msg) {
+    const res = await fake.sendToWorker(msg);
+    if (!res?.ok) throw new Error(`${msg.kind} refused: ${res?.error}`);
+    await waitForIdle();
+    return { report: fake.session.data.finalReport, progress: fake.session.data.progressText };
+  }
+
+  /** Text of a saved file, or undefined. */
+  const readFile = (filename) => fake.files.get(filename)?.body.toString('utf8');
+
+  /** Saved filenames under `prefix`, sorted. */
+  const savedUnder = (prefix) => [...fake.files.keys()].filter((f) => f.startsWith(prefix)).sort();
+
+  return { ...fake, site, cdn, run, waitForIdle, restartWorker, readFile, savedUnder };
+}
@@ -0,0 +1,115 @@
+// Offline stand-ins for www.kidsnote.com and the kakaocdn media hosts.
+// The site answers the same list/comment/me-info endpoints the content scripts call, paginated with an opaque
+// `next` token like the real API; the CDN serves deterministic bytes per URL and can be told to fail.
+
+import { readFileSync } from 'node:fs';
+
+const ORIGIN = 'https://www.kidsnote.com';
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+// Which list request each service page fires on load (what the content scripts later find in resource timing).
+const PAGE_LIST_REQUESTS = {
+  '/service/album': (childId) => `${ORIGIN}/api/v1_3/children/${childId}/albums/?page_size=12&tz=Asia%2FSeoul&child=${childId}`,
+  '/service/report': (childId) => `${ORIGIN}/api/v1_2/children/${childId}/reports/?page_size=12&tz=Asia%2FSeoul&child=${childId}`,
+};
+
+/**
+ * options:
+ *   pageSize     items per list page regardless of the requested page_size (small, so pagination is exercised)
+ *   loggedIn     false makes every /api/ request answer 401 like an expired session
+ *   childId      child the service pages are showing
+ */
+export function createKidsnoteSite({ pageSize = 3, loggedIn = true, childId = '7001' } = {}) {
+  const boards = {
+    albums: { version: 'v1_3', byChild: loadFixture('albums_v1_3.json') },
+    reports: { version: 'v1_2', byChild: loadFixture('reports_v1_2.json') },
+  };
+  const comments = loadFixture('comments.json');
+  const site = { loggedIn, childId, meInfo: loadFixture('me_info.json'), requests: [] };
+
+  function listPage(items, url) {
+    // `next` is the id of the first item on the following page; `page` echoes it back.
+    const token = url.searchParams.get('page');
+    const start = token ? items.findIndex((it) => String(it.id) === token) : 0;
+    if (start < 0) return jsonResponse(400, { detail: 'invalid page' });
+    const results = items.slice(start, start + pageSize);
+    const following = items[start + pageSize];
+    return jsonResponse(200, { count: items.length, next: following ? String(following.id) : null, results });
+  }
+
+  function route(url) {
+    if (!site.loggedIn) return jsonResponse(401, { detail: 'Authentication credentials were not provided.' });
+    if (url.pathname === '/api/v1/me/info/') return jsonResponse(200, site.meInfo);
+
+    const list = url.pathname.match(/^\/api\/(v1_\d)\/children\/(\d+)\/(albums|reports)\/$/);
+    if (list) {
+      const board = boards[list[3]];
+      if (board.version !== list[1]) return jsonResponse(404, { detail: 'Not found.' });
+      return listPage(board.byChild[list[2]] || [], url);
+    }
+
+    if (/^\/api\/v1_\d\/(albums|reports)\/\d+\/comments\/$/.test(url.pathname)) {
+      return jsonResponse(200, { count: 0, next: null, results: comments[url.pathname] || [] });
+    }
+    return jsonResponse(404, { detail: 'Not found.' });
+  }
+
+  /** fetch() as seen from a kidsnote.com page (cookies are implied). */
+  site.fetch = async (input) => {
+    const url = new URL(String(input));
+    if (url.origin !== ORIGIN) throw new TypeError('Failed to fetch');
+    site.requests.push(url.toString());
+    return route(url);
+  };
+
+  /** Resource-timing entries a service page would have after loading. */
+  site.pageResources = (pageUrl) => {
+    const { pathname } = new URL(pageUrl);
+    const key = Object.keys(PAGE_LIST_REQUESTS).find((p) => pathname.startsWith(p));
+    return key && site.loggedIn ? [PAGE_LIST_REQUESTS[key](site.childId)] : [];
+  };
+
+  /** List requests for one board, in order (used to check early exits and paging). */
+  site.listRequests = (board) => site.requests.filter((u) => new URL(u).pathname.endsWith(`/${board}/`));
+
+  return site;
+}
+
+export function createCdn() {
+  const failures = new Map();
+  const cdn = { requests: [] };
+
+  /** Body served for a media URL: stable per URL, so tests can check which file landed where. */
+  cdn.bodyFor = (url) => Buffer.from(`media:${new URL(url).pathname}`);
+
+  /** Make `url` answer with an HTTP error status until restore(). */
+  cdn.fail = (url, status = 404) => failures.set(url, status);
+  cdn.restore = () => failures.clear();
+
+  /** { status, body, contentType } for a GET of `url`. */
+  cdn.lookup = (url) => {
+    cdn.requests.push(url);
+    const host = new URL(url).hostname;
+    if (!host.endsWith('.kakaocdn.net')) return { status: 404, body: Buffer.alloc(0), contentType: 'text/plain' };
+    const status = failures.get(url) || 200;
+    const ext = new URL(url).pathname.split('.').pop();
+    const contentType = { jpg: 'image/jpeg', mp4: 'video/mp4', pdf: 'application/pdf' }[ext] || 'application/octet-stream';
+    return { status, body: status === 200 ? cdn.bodyFor(url) : Buffer.alloc(0), contentType };
+  };
+
+  /** fetch() for the service worker, which only talks to the CDN directly (EXIF photos, HEAD size probes). */
+  cdn.fetch = async (input, init = {}) => {
+    const { status, body, contentType } = cdn.lookup(String(input));
+    const headers = { 'content-type': contentType, 'content-length': String(body.length) };
+    return new Response(init.method === 'HEAD' ? null : body, { status, headers });
+  };
+
+  return cdn;
+}
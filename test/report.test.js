@@ -0,0 +1,98 @@
+// End-to-end report (알림장) runs against the v1_2 mock API.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { loadExtension } from './harness/extension.js';
+
+const REPORT_PAGE = 'https://www.kidsnote.com/service/report';
+
+function startReport(tabId, { filters = {}, options = {} } = {}) {
+  return { kind: 'START_DOWNLOAD_REPORT', tabId, root: 'Kidsnote_report', filters, options };
+}
+
+test('downloads every report with media and attachments', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(REPORT_PAGE);
+  const { report } = await ext.run(startReport(tabId));
+
+  assert.match(report, /^결과\(알림장\):/);
+  assert.match(report, /- 글: 4개/);
+  assert.match(report, /- 사진: 2개/);
+  assert.match(report, /- 동영상: 1개/);
+  assert.match(report, /- 파일: 2개/);
+  assert.equal(ext.site.listRequests('reports').length, 2);
+
+  assert.deepEqual(ext.savedUnder('Kidsnote_report/2025-10-13-튼튼반-201/'), [
+    'Kidsnote_report/2025-10-13-튼튼반-201/files/가정통신문.pdf',
+    'Kidsnote_report/2025-10-13-튼튼반-201/photos/001.jpg',
+    'Kidsnote_report/2025-10-13-튼튼반-201/text.txt',
+    'Kidsnote_report/2025-10-13-튼튼반-201/videos/001.mp4',
+  ]);
+  // Same class and day: the id keeps the two reports apart.
+  assert.ok(ext.files.has('Kidsnote_report/2025-10-13-튼튼반-202/text.txt'));
+  // No class: the author names the folder. A '/' in the class name doesn't create a subfolder.
+  assert.ok(ext.files.has('Kidsnote_report/2025-09-30-이선생-203/photos/001.jpg'));
+  // Unnamed attachments get a numbered name with the extension from the URL.
+  assert.ok(ext.files.has('Kidsnote_report/2025-09-15-A_B반-204/files/file_001.xlsx'));
+});
+
+test('text.txt carries the header and structured sections', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(REPORT_PAGE);
+  await ext.run(startReport(tabId, { filters: { from: '2025-10-13', to: '2025-10-13' } }));
+
+  const text = ext.readFile('Kidsnote_report/2025-10-13-튼튼반-201/text.txt');
+  assert.equal(text, [
+    '# 알림장 2025-10-13',
+    '',
+    '날짜: 2025-10-13 (월)\n작성: 2025-10-13 (월) 17:05\n반: 튼튼반\n작성자: 김선생\n아이: 하나',
+    '',
+    '## 본문\n오늘은 블록 놀이를 했어요.',
+    '',
+    '## 날씨\n맑음',
+    '',
+    '## 식사\n잘 먹음',
+    '',
+    '## 낮잠\n1시간 30분',
+    '',
+    // Unlabelled fields keep their raw key, nested ones included; ids, links, the author, media and flags are left out.
+    '## activity\n블록 쌓기',
+    '',
+    '## tags\n- 실내\n- 놀이',
+    '',
+    '## daily_log\nmorning: 자유 놀이\nafternoon:\n  outdoor: 모래 놀이\n  snack:\n    - 사과\n    - 우유',
+    '',
+  ].join('\n'));
+});
+
+test('date range skips newer reports and stops at the first older one', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(REPORT_PAGE);
+  const { report } = await ext.run(startReport(tabId, { filters: { from: '2025-09-20', to: '2025-09-30' } }));
+
+  assert.match(report, /- 글: 1개/);
+  assert.deepEqual(ext.savedUnder('Kidsnote_report/'), [
+    'Kidsnote_report/2025-09-30-이선생-203/photos/001.jpg',
+    'Kidsnote_report/2025-09-30-이선생-203/text.txt',
+  ]);
+  assert.equal(ext.site.listRequests('reports').length, 2);
+});
+
+test('saves threaded comments through the page relay', async () => {
+  const ext = await loadExtension();
+  const tabId = ext.openTab(REPORT_PAGE);
+  const { report } = await ext.run(startReport(tabId, { options: { comments: true, types: { photo: false, video: false, file: false } } }));
+
+  assert.match(report, /- 댓글: 2개/);
+  assert.equal(ext.readFile('Kidsnote_report/2025-10-13-튼튼반-201/comments.txt'), [
+    '[2025-10-13 19:00] 하나 아빠',
+    '내일 일찍 데리러 갈게요.',
+    '',
+    '    ↳ [2025-10-13 19:10] 김선생',
+    '    네, 알겠습니다.',
+    '',
+  ].join('\n'));
+  // Text-only run: no media reached the CDN.
+  assert.equal(ext.cdn.requests.length, 0);
+});
@@ -0,0 +1,104 @@
+// Scheduled background sync: the daily alarm -> album + report sync runs in a tab of its own.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { loadExtension } from './harness/extension.js';
+import { createKidsnoteSite } from './harness/kidsnote.js';
+
+const REPORT_PAGE = 'https://www.kidsnote.com/service/report';
+
+/** Fires the daily sync alarm and resolves with syncStatus once the run has recorded it. */
+function runScheduled(ext) {
+  return new Promise((resolve) => {
+    ext.chrome.storage.onChanged.addListener(function onChange(changes, area) {
+      if (area !== 'local' || !changes.syncStatus) return;
+      ext.chrome.storage.onChanged.removeListener(onChange);
+      ext.waitForIdle().then(() => resolve(changes.syncStatus.newValue));
+    });
+    ext.chrome.alarms.onAlarm.dispatch({ name: 'kidsnote-sync' });
+  });
+}
+
+test('syncs albums and reports in its own background tab and leaves open tabs alone', async () => {
+  const ext = await loadExtension();
+  const userTab = ext.openTab(`${REPORT_PAGE}?page=2`);
+  const status = await runScheduled(ext);
+
+  assert.equal(status.state, 'ok');
+  assert.match(status.message, /^결과\(앨범\):[^]*- 앨범: 7개[^]*\n\n결과\(알림장\):[^]*- 글: 4개/);
+  assert.ok(ext.files.has('Kidsnote_album/2025-10-12-가을 소풍/text.txt'));
+  assert.ok(ext.files.has('Kidsnote_report/2025-10-13-튼튼반-201/text.txt'));
+  // The user's tab was neither navigated nor closed; the sync tab is gone again.
+  const tabs = await ext.chrome.tabs.query({});
+  assert.deepEqual(tabs.map((t) => [t.id, t.url]), [[userTab, `${REPORT_PAGE}?page=2`]]);
+});
+
+test('reports a sync with skipped files as partial', async () => {
+  const ext = await loadExtension();
+  ext.cdn.fail('https://kids-v.kakaocdn.net/dn/album/106/v_low.mp4', 403);
+  const status = await runScheduled(ext);
+
+  assert.equal(status.state, 'partial');
+  assert.equal(ext.local.data.runHistory[1].status, 'partial');
+  assert.equal(ext.local.data.runHistory[0].status, 'ok');
+});
+
+test('a scheduled sync cut off by a worker shutdown goes on with the boards it had left', async () => {
+  const ext = await loadExtension();
+  // The worker goes away while waiting for the first report list page, once the albums are done.
+  const hung = new Promise((resolve) => {
+    ext.faults.hangTabMessage = (msg) => {
+      if (!/\/reports\/\?/.test(String(msg.url || ''))) return false;
+      resolve();
+      return true;
+    };
+  });
+  ext.chrome.alarms.onAlarm.dispatch({ name: 'kidsnote-sync' });
+  await hung;
+  ext.faults.hangTabMessage = null;
+  assert.equal(ext.local.data.activeJob.mode, 'report');
+  assert.equal(ext.local.data.activeJob.options.scheduled.boards[0].mode, 'album');
+
+  const status = new Promise((resolve) => {
+    ext.chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.syncStatus) resolve(changes.syncStatus.newValue);
+    });
+  });
+  await ext.restartWorker();
+  const { state, message } = await status;
+  await ext.waitForIdle();
+
+  assert.equal(state, 'ok');
+  assert.match(message, /^결과\(앨범\):[^]*- 앨범: 7개[^]*\n\n결과\(알림장\):[^]*- 글: 4개/);
+  assert.ok(ext.files.has('Kidsnote_report/2025-10-13-튼튼반-201/text.txt'));
+  assert.equal(ext.site.listRequests('albums').length, 3);
+  assert.deepEqual(await ext.chrome.tabs.query({}), []);
+  assert.deepEqual(Object.keys(ext.local.data).filter((k) => k.startsWith('pausedJob')), []);
+  assert.deepEqual(ext.local.data.runHistory.map((r) => [r.mode, r.trigger, r.status]), [['report', 'schedule', 'ok'], ['album', 'schedule', 'ok']]);
+});
+
+test('while logged out, reuses the login tab instead of opening another one every night', async () => {
+  const site = createKidsnoteSite({ loggedIn: false });
+  const ext = await loadExtension({ site });
+  const tabIds = async () => (await ext.chrome.tabs.query({})).map((t) => t.id);
+
+  assert.equal((await runScheduled(ext)).state, 'login');
+  const [loginTab] = await tabIds();
+  assert.ok(loginTab);
+  assert.equal((await runScheduled(ext)).state, 'login');
+  assert.deepEqual(await tabIds(), [loginTab]);
+
+  // Closed without logging in: the next night doesn't open it again.
+  await ext.chrome.tabs.remove(loginTab);
+  assert.equal((await runScheduled(ext)).state, 'login');
+  assert.deepEqual(await tabIds(), []);
+
+  // Logged in again in a kidsnote tab of the user's: the sync runs there and leaves it open.
+  const userTab = ext.openTab(`${REPORT_PAGE}?page=2`);
+  site.loggedIn = true;
+  const status = await runScheduled(ext);
+  assert.equal(status.state, 'ok');
+  assert.match(status.message, /- 앨범: 7개/);
+  assert.deepEqual(await tabIds(), [userTab]);
+});